@@ -0,0 +1,34 @@
+// Catálogo de productos - Netlify Function
+// Devuelve las sneakers habilitadas en data/catalog.json, ya ordenadas
+
+import { jsonResponse, preflightResponse, methodNotAllowed } from '../lib/http.js';
+import { createLogger, withRequestLogging } from '../lib/logger.js';
+import { loadCatalog, getEnabledProducts } from '../lib/catalog.js';
+
+const log = createLogger({ module: 'catalog' });
+
+export const handler = withRequestLogging('catalog', async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return preflightResponse();
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return methodNotAllowed();
+    }
+
+    try {
+        const catalog = loadCatalog();
+        const products = getEnabledProducts(catalog);
+
+        log.debug('catalog loaded', { version: catalog.version, enabled: products.length, total: catalog.products.length });
+
+        return jsonResponse(200, {
+            version: catalog.version,
+            updatedAt: catalog.updatedAt,
+            products
+        });
+    } catch (error) {
+        log.error('catalog unavailable', { error });
+        return jsonResponse(500, { error: 'Catalog unavailable', code: 'catalog_unavailable' });
+    }
+});
@@ -0,0 +1,73 @@
+// Historial de precios - Netlify Function
+// GET ?id=<producto>&market=US&currency=USD&size=US%2010&from=<ISO>&to=<ISO>
+// Los snapshots guardan el ask; se sirve el precio de venta con las reglas actuales
+
+import { jsonResponse, preflightResponse, methodNotAllowed } from '../lib/http.js';
+import { createLogger, withRequestLogging } from '../lib/logger.js';
+import { getHistoryStore } from '../lib/history.js';
+import { createPricingContext, getRuleFor, quoteAsk } from '../lib/pricing.js';
+import { resolveMarket, getMarketCurrency } from '../lib/markets.js';
+import { RequestError } from '../lib/errors.js';
+
+const log = createLogger({ module: 'history' });
+
+const DEFAULT_RANGE_DAYS = 30;
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+export const handler = withRequestLogging('history', async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return preflightResponse();
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return methodNotAllowed();
+    }
+
+    const { id, size, market: requestedMarket, currency = 'USD', from, to } = event.queryStringParameters || {};
+
+    if (!id) {
+        return jsonResponse(400, { error: 'ID parameter is required', code: 'missing_product_param' });
+    }
+
+    const toDate = parseDate(to) === null ? new Date().toISOString() : parseDate(to);
+    const fromDate = parseDate(from) === null
+        ? new Date(Date.now() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        : parseDate(from);
+
+    if (!toDate || !fromDate) {
+        return jsonResponse(400, { error: 'from/to must be valid ISO dates', code: 'invalid_date_range' });
+    }
+
+    let market;
+    try {
+        market = resolveMarket(requestedMarket);
+        const pricing = await createPricingContext({ market, currency });
+        const rule = getRuleFor(pricing, id);
+        const snapshots = await getHistoryStore().query(id, market, { size, from: fromDate, to: toDate });
+
+        // Agrupado por talla para que el cliente elija la serie
+        const series = {};
+        snapshots.forEach(snapshot => {
+            // Snapshots antiguos no guardaban moneda: la del mercado
+            const { size: snapshotSize, lowestAsk, currency: askCurrency, ...point } = snapshot;
+            const quote = quoteAsk(lowestAsk, rule, pricing, askCurrency || getMarketCurrency(market));
+            (series[snapshotSize] = series[snapshotSize] || []).push({ ...point, price: quote ? quote.total : 0 });
+        });
+
+        log.debug('history served', { id, market, currency, points: snapshots.length });
+
+        return jsonResponse(200, { id, market, currency, from: fromDate, to: toDate, series });
+    } catch (error) {
+        if (error instanceof RequestError) {
+            return jsonResponse(400, { error: error.message, code: error.code });
+        }
+
+        log.error('history unavailable', { id, market, error });
+        return jsonResponse(500, { error: 'History unavailable', code: 'history_unavailable' });
+    }
+});
@@ -0,0 +1,30 @@
+// Tipos de cambio - Netlify Function
+// Tasas USD -> monedas del selector, con la fecha a la que corresponden
+
+import { jsonResponse, preflightResponse, methodNotAllowed } from '../lib/http.js';
+import { createLogger, withRequestLogging, setRequestField } from '../lib/logger.js';
+import { getExchangeRates } from '../lib/rates.js';
+
+const log = createLogger({ module: 'rates' });
+
+export const handler = withRequestLogging('rates', async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return preflightResponse();
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return methodNotAllowed();
+    }
+
+    try {
+        const rates = await getExchangeRates();
+
+        setRequestField('source', rates.source);
+        log.debug('rates served', { date: rates.date, source: rates.source, stale: rates.stale });
+
+        return jsonResponse(200, rates);
+    } catch (error) {
+        log.error('exchange rates unavailable', { error });
+        return jsonResponse(500, { error: 'Exchange rates unavailable', code: 'rates_unavailable' });
+    }
+});
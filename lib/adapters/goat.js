@@ -0,0 +1,104 @@
+// Adaptador GOAT (vía KicksDB v3)
+// GOAT informa precios en centavos en los campos *_cents
+
+import { DEFAULT_IMAGE, buildSize, sortSizes, buildApiData } from './schema.js';
+
+export const name = 'goat';
+export const label = 'GOAT API - Datos en Tiempo Real';
+
+const BASE_URL = 'https://api.kicks.dev/v3/goat/products';
+
+// GOAT sólo publica precios del mercado US
+export const markets = ['US'];
+
+export function buildProductUrl(id) {
+    return `${BASE_URL}/${encodeURIComponent(id)}`;
+}
+
+export function buildSearchUrl(query, { page = 1, limit = 3 } = {}) {
+    return `${BASE_URL}?query=${encodeURIComponent(query)}&limit=${limit}&page=${page}`;
+}
+
+export function extractProduct(payload, { isIdQuery }) {
+    if (isIdQuery) return payload.product || (payload.data && !Array.isArray(payload.data) ? payload.data : null);
+    if (Array.isArray(payload.data) && payload.data.length > 0) return payload.data[0];
+    return null;
+}
+
+export function extractSearchResults(payload) {
+    return {
+        products: Array.isArray(payload.data) ? payload.data : [],
+        total: payload.meta && Number.isFinite(payload.meta.total) ? payload.meta.total : null
+    };
+}
+
+// Importe en USD a partir de un valor en dólares o en centavos
+function toDollars(value, cents) {
+    if (Number.isFinite(value)) return value;
+    if (Number.isFinite(cents)) return cents / 100;
+    return 0;
+}
+
+function normalizeBasics(product) {
+    const retailPrice = toDollars(product.retail_price, product.retail_price_cents);
+
+    return {
+        id: product.id,
+        sku: product.sku || product.id,
+        title: product.name || product.title || `Producto ${product.id}`,
+        brand: product.brand || product.brand_name || null,
+        image: product.image_url || product.main_picture_url || product.image || DEFAULT_IMAGE,
+        lastUpdated: product.updated_at || new Date().toISOString(),
+        regularPrice: retailPrice || toDollars(product.min_price, product.lowest_price_cents) || 120
+    };
+}
+
+function extractVariants(variants, sizeContext) {
+    if (!Array.isArray(variants)) return [];
+
+    const sizes = variants.map(variant => {
+        const lowestAsk = toDollars(variant.lowest_ask ?? variant.price, variant.lowest_price_cents);
+        const inStock = variant.stock_status ? variant.stock_status !== 'not_in_stock' : true;
+        const available = lowestAsk > 0 && inStock;
+
+        return buildSize(variant.size, {
+            price: lowestAsk,
+            available,
+            marketData: {
+                lowest_ask: lowestAsk,
+                total_asks: variant.total_asks || (available ? 1 : 0),
+                sales_15_days: variant.sales_count_15_days || 0,
+                sales_30_days: variant.sales_count_30_days || 0,
+                sales_60_days: variant.sales_count_60_days || 0
+            }
+        }, sizeContext);
+    });
+
+    return sortSizes(sizes.filter(size => size.size !== 'US undefined'));
+}
+
+export function normalizeProduct(product) {
+    const sizes = extractVariants(product.variants, { brand: product.brand || product.brand_name, gender: product.gender });
+    const prices = sizes.filter(s => s.available).map(s => s.price);
+
+    return {
+        ...normalizeBasics(product),
+        sizes,
+        _source: label,
+        _sourceId: name,
+        _apiData: buildApiData(sizes, {
+            minPrice: prices.length > 0 ? Math.min(...prices) : 0,
+            maxPrice: prices.length > 0 ? Math.max(...prices) : 0,
+            weeklyOrders: product.weekly_orders || 0
+        })
+    };
+}
+
+export function normalizeSummary(product) {
+    return {
+        ...normalizeBasics(product),
+        minPrice: toDollars(product.min_price, product.lowest_price_cents),
+        maxPrice: toDollars(product.max_price, product.highest_price_cents),
+        weeklyOrders: product.weekly_orders || 0
+    };
+}
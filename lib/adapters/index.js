@@ -0,0 +1,22 @@
+// Registro de adaptadores de mercado
+// Cada adaptador sabe construir URLs de KicksDB y normalizar al esquema de schema.js
+
+import * as stockx from './stockx.js';
+import * as goat from './goat.js';
+import * as kicksdb from './kicksdb.js';
+
+export const DEFAULT_SOURCE = 'stockx';
+
+const adapters = {
+    [stockx.name]: stockx,
+    [goat.name]: goat,
+    [kicksdb.name]: kicksdb
+};
+
+export function getAdapter(source = DEFAULT_SOURCE) {
+    return adapters[source] || null;
+}
+
+export function listSources() {
+    return Object.keys(adapters);
+}
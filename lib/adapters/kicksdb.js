@@ -0,0 +1,136 @@
+// Adaptador genérico KicksDB (formato "standard"/"unified")
+// El formato varía según el endpoint: se prueban variants, sizes, asks y bids
+
+import { DEFAULT_IMAGE, buildSize, sortSizes, buildApiData } from './schema.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger({ module: 'adapter', source: 'kicksdb' });
+
+export const name = 'kicksdb';
+export const label = 'KicksDB API';
+
+// Los endpoints genéricos no aceptan región
+export const markets = ['US'];
+
+// Endpoints posibles según la documentación de KicksDB, en orden de preferencia
+export function buildProductUrls(sku) {
+    const encoded = encodeURIComponent(cleanSku(sku));
+    return [
+        `https://api.kicks.dev/v1/products/${encoded}`,
+        `https://api.kicks.dev/v1/product/${encoded}`,
+        `https://api.kicks.dev/standard/products/${encoded}`,
+        `https://api.kicks.dev/standard/product/${encoded}`,
+        `https://api.kicks.dev/unified/products/${encoded}`,
+        `https://api.kicks.dev/unified/product/${encoded}`,
+        `https://api.kicks.dev/v1/search?q=${encoded}&limit=1`
+    ];
+}
+
+export function buildProductUrl(sku) {
+    return buildProductUrls(sku)[0];
+}
+
+// Sin endpoint de búsqueda paginada
+export const buildSearchUrl = null;
+
+// Quita espacios alrededor de "/" en SKUs como "DD1391 / 100"
+export function cleanSku(sku) {
+    return sku.split('/').map(part => part.trim()).join('/');
+}
+
+export const normalizeQuery = cleanSku;
+
+// La búsqueda devuelve un array: se toma el primer resultado
+export function extractProduct(payload) {
+    if (Array.isArray(payload)) return payload.length > 0 ? payload[0] : null;
+    return payload;
+}
+
+// Precio de referencia: retailPrice > msrp > basePrice > lowestAsk > price > averagePrice
+function pickRegularPrice(data) {
+    const candidates = ['retailPrice', 'msrp', 'basePrice', 'lowestAsk', 'price', 'averagePrice'];
+
+    for (const field of candidates) {
+        const value = parseFloat(data[field]);
+        if (data[field] && !isNaN(value)) {
+            log.debug('price field selected', { field, value });
+            return value;
+        }
+    }
+
+    return null;
+}
+
+function extractSizes(data, regularPrice, sizeContext) {
+    let entries = [];
+
+    if (Array.isArray(data.variants)) {
+        log.debug('size format detected', { format: 'variants' });
+        entries = data.variants.map(variant => ({
+            size: variant.size || variant.us_size || variant.usSize || variant.size_us || variant.sizeUs,
+            price: parseFloat(variant.price || variant.lowest_ask || variant.lowestAsk || variant.ask || regularPrice),
+            available: variant.available !== false && (variant.stock === undefined || variant.stock > 0)
+        }));
+    } else if (Array.isArray(data.sizes)) {
+        log.debug('size format detected', { format: 'sizes' });
+        entries = data.sizes.map(sizeData => ({
+            size: sizeData.size || sizeData.us_size || sizeData.usSize || sizeData.size_us || sizeData.sizeUs,
+            price: parseFloat(sizeData.price || sizeData.lowest_ask || sizeData.lowestAsk || sizeData.ask || regularPrice),
+            available: sizeData.available !== false && (sizeData.stock === undefined || sizeData.stock > 0)
+        }));
+    } else if (Array.isArray(data.asks)) {
+        log.debug('size format detected', { format: 'asks' });
+        entries = data.asks.map(ask => ({
+            size: ask.size || ask.shoe_size || ask.shoeSize,
+            price: parseFloat(ask.price || ask.amount || regularPrice),
+            available: true // If ask exists, it's available
+        }));
+    } else if (Array.isArray(data.bids)) {
+        log.debug('size format detected', { format: 'bids' });
+        entries = data.bids.map(bid => ({
+            size: bid.size || bid.shoe_size || bid.shoeSize,
+            price: parseFloat(bid.price || bid.amount || regularPrice),
+            available: true
+        }));
+    }
+
+    // Filter out invalid sizes
+    return entries
+        .filter(entry => entry.size && !isNaN(entry.price))
+        .map(entry => buildSize(entry.size, { price: entry.price, available: entry.available }, sizeContext));
+}
+
+export function normalizeProduct(data, { sku } = {}) {
+    const regularPrice = pickRegularPrice(data);
+
+    if (!regularPrice) {
+        throw new Error('No valid price found in API response');
+    }
+
+    const sizes = sortSizes(extractSizes(data, regularPrice, { brand: data.brand, gender: data.gender }));
+
+    if (sizes.length === 0) {
+        throw new Error('No valid sizes found in API response');
+    }
+
+    const prices = sizes.filter(s => s.available).map(s => s.price);
+
+    return {
+        id: data.id || cleanSku(sku || ''),
+        sku: cleanSku(sku || data.sku || ''),
+        title: data.title || data.name || data.product_name || data.productName || 'Unknown Product',
+        brand: data.brand || null,
+        image: data.image || data.thumbnail || data.imageUrl || data.media?.[0]?.imageUrl || data.images?.[0] || DEFAULT_IMAGE,
+        lastUpdated: data.updated_at || data.lastUpdated || data.last_updated || new Date().toISOString(),
+        regularPrice,
+        sizes,
+        _source: label,
+        _sourceId: name,
+        _apiData: buildApiData(sizes, {
+            minPrice: prices.length > 0 ? Math.min(...prices) : 0,
+            maxPrice: prices.length > 0 ? Math.max(...prices) : 0
+        })
+    };
+}
+
+export const normalizeSummary = null;
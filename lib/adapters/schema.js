@@ -0,0 +1,70 @@
+// Esquema único de producto que devuelven todos los adaptadores de mercado
+//
+// Producto:
+//   id            ID del producto en el mercado de origen
+//   sku           SKU del fabricante (o el ID si no hay SKU)
+//   title         Nombre del producto
+//   brand         Marca (null si el mercado no la informa)
+//   image         URL de la imagen principal
+//   lastUpdated   Fecha ISO de los datos de mercado
+//   regularPrice  Precio de referencia en la moneda del mercado (retail o mínimo)
+//   sizes         Lista de tallas (ver abajo), ordenada por categoría y talla
+//   _source       Texto legible del origen de los datos
+//   _sourceId     Adaptador que generó el producto: 'stockx' | 'goat' | 'kicksdb'
+//   _apiData      { realTimeData, availableSizes, totalSizes, minPrice, maxPrice, weeklyOrders }
+//   _market       { code, currency } del mercado de los asks (lo añade el handler)
+//
+// Talla:
+//   size          Etiqueta US tal como la da el mercado ("US 10.5W"); clave estable de carrito/historial
+//   sizeInfo      Categoría y equivalencias UK/EU/CM (lib/sizes.js), null si no es convertible
+//   price         Ask más bajo en la moneda del mercado (_market), 0 si no hay stock
+//   available     true si hay ofertas con precio
+//   marketData    { lowest_ask, total_asks, sales_15_days, sales_30_days, sales_60_days } o null
+//
+// Resumen (búsqueda): id, sku, title, brand, image, lastUpdated, regularPrice, minPrice, maxPrice, weeklyOrders
+//
+// Antes de responder, lib/pricing.js cambia los asks por precios de venta (price,
+// regularPrice, minPrice, maxPrice), añade priceBreakdown a cada talla y _pricing
+// al producto, y quita lowest_ask de marketData.
+
+import { describeSize } from '../sizes.js';
+
+export const DEFAULT_IMAGE = 'https://images.unsplash.com/photo-1542291026-7eec264c27ff?w=700&h=500&fit=crop';
+
+// "US 10", "10" o 10 -> "US 10"
+export function toSizeLabel(rawSize) {
+    const value = String(rawSize).trim().replace(/^US\s*/i, '');
+    return `US ${value}`;
+}
+
+export function buildSize(rawSize, { price, available, marketData = null }, sizeContext = {}) {
+    const value = String(rawSize).trim().replace(/^US\s*/i, '');
+
+    return {
+        size: toSizeLabel(value),
+        sizeInfo: describeSize(value, sizeContext),
+        price: available ? parseFloat(price.toFixed(2)) : 0,
+        available,
+        marketData
+    };
+}
+
+// Ordenar por categoría y talla; las no convertibles (p. ej. "OS") al final
+export function sortSizes(sizes) {
+    return [...sizes].sort((a, b) => {
+        const sizeA = a.sizeInfo ? a.sizeInfo.sortKey : Infinity;
+        const sizeB = b.sizeInfo ? b.sizeInfo.sortKey : Infinity;
+        return sizeA - sizeB;
+    });
+}
+
+export function buildApiData(sizes, { minPrice = 0, maxPrice = 0, weeklyOrders = 0 } = {}) {
+    return {
+        realTimeData: true,
+        availableSizes: sizes.filter(s => s.available).length,
+        totalSizes: sizes.length,
+        minPrice,
+        maxPrice,
+        weeklyOrders
+    };
+}
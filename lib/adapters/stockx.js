@@ -0,0 +1,107 @@
+// Adaptador StockX (vía KicksDB v3)
+
+import { DEFAULT_IMAGE, buildSize, sortSizes, buildApiData } from './schema.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger({ module: 'adapter', source: 'stockx' });
+
+export const name = 'stockx';
+export const label = 'StockX API - Datos en Tiempo Real';
+
+const BASE_URL = 'https://api.kicks.dev/v3/stockx/products';
+
+// Mercados regionales de StockX: los asks llegan en la moneda de cada región
+export const markets = ['US', 'GB', 'DE', 'FR', 'JP'];
+
+export function buildProductUrl(id, { market = 'US' } = {}) {
+    return `${BASE_URL}/${encodeURIComponent(id)}?market=${market}`;
+}
+
+export function buildSearchUrl(query, { page = 1, limit = 3, market = 'US' } = {}) {
+    return `${BASE_URL}?query=${encodeURIComponent(query)}&limit=${limit}&page=${page}&market=${market}`;
+}
+
+// Respuesta por ID: { product }; búsqueda: { data: [...] } (se toma el primero)
+export function extractProduct(payload, { isIdQuery }) {
+    if (isIdQuery && payload.product) return payload.product;
+    if (!isIdQuery && Array.isArray(payload.data) && payload.data.length > 0) return payload.data[0];
+    return null;
+}
+
+export function extractSearchResults(payload) {
+    return {
+        products: Array.isArray(payload.data) ? payload.data : [],
+        total: payload.meta && Number.isFinite(payload.meta.total) ? payload.meta.total : null
+    };
+}
+
+// Campos comunes de un producto StockX (detalle y resultados de búsqueda)
+function normalizeBasics(product) {
+    return {
+        id: product.id,
+        sku: product.sku || product.id,
+        title: product.title || `Producto ${product.id}`,
+        brand: product.brand || null,
+        image: product.image || DEFAULT_IMAGE,
+        lastUpdated: product.updated_at || new Date().toISOString(),
+        regularPrice: product.min_price || 120
+    };
+}
+
+// Extracción de variantes usando estructura real del JSON StockX
+function extractVariants(variants, sizeContext) {
+    // Sin variantes no hay tallas a la venta: nunca se inventan precios sobre un producto real
+    if (!variants || !Array.isArray(variants)) {
+        log.warn('no variants in product, returning no sizes');
+        return [];
+    }
+
+    const sizes = variants.map(variant => {
+        const lowestAsk = variant.lowest_ask || 0;
+        const totalAsks = variant.total_asks || 0;
+
+        // Lógica real de disponibilidad: precio > 0 Y ofertas > 0
+        const available = lowestAsk > 0 && totalAsks > 0;
+
+        return buildSize(variant.size || 'N/A', {
+            price: lowestAsk,
+            available,
+            marketData: {
+                lowest_ask: lowestAsk,
+                total_asks: totalAsks,
+                sales_15_days: variant.sales_count_15_days || 0,
+                sales_30_days: variant.sales_count_30_days || 0,
+                sales_60_days: variant.sales_count_60_days || 0
+            }
+        }, sizeContext);
+    });
+
+    log.debug('variants processed', { sizes: sizes.length, available: sizes.filter(s => s.available).length });
+    return sortSizes(sizes);
+}
+
+export function normalizeProduct(product) {
+    const sizes = extractVariants(product.variants, { brand: product.brand, gender: product.gender });
+
+    return {
+        ...normalizeBasics(product),
+        sizes,
+        _source: label,
+        _sourceId: name,
+        _apiData: buildApiData(sizes, {
+            minPrice: product.min_price || 0,
+            maxPrice: product.max_price || 0,
+            weeklyOrders: product.weekly_orders || 0
+        })
+    };
+}
+
+// Resumen ligero para resultados de búsqueda (sin variantes)
+export function normalizeSummary(product) {
+    return {
+        ...normalizeBasics(product),
+        minPrice: product.min_price || 0,
+        maxPrice: product.max_price || 0,
+        weeklyOrders: product.weekly_orders || 0
+    };
+}
@@ -0,0 +1,67 @@
+// Netlify Blobs: almacenamiento persistente y compartido entre todas las instancias
+// @netlify/blobs es dependencia del proyecto (package.json); fuera de Netlify no hay
+// contexto y los stores que lo usan recurren a su backend local.
+
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'blobs' });
+
+// Especificador en variable: esbuild no lo empaqueta, se despliega tal cual (external_node_modules)
+const BLOBS_PACKAGE = '@netlify/blobs';
+
+let blobsModule; // undefined = sin cargar, null = no disponible
+
+export async function loadBlobs() {
+    if (blobsModule === undefined) {
+        try {
+            blobsModule = await import(BLOBS_PACKAGE);
+        } catch (error) {
+            log.debug('netlify blobs package not available', { error: error.message });
+            blobsModule = null;
+        }
+    }
+    return blobsModule;
+}
+
+// Las funciones en modo Lambda reciben el contexto de Blobs en el evento
+export async function connectBlobs(event) {
+    if (!event || !event.blobs) return;
+
+    const blobs = await loadBlobs();
+    if (!blobs) return;
+
+    try {
+        blobs.connectLambda(event);
+    } catch (error) {
+        log.warn('netlify blobs context rejected', { error });
+    }
+}
+
+export function hasBlobsContext() {
+    return Boolean(process.env.NETLIFY_BLOBS_CONTEXT || globalThis.netlifyBlobsContext);
+}
+
+// Stores que ya avisaron de que trabajan sin Blobs
+const warnedFallbacks = new Set();
+
+// Sin Blobs el store deja de ser compartido: se avisa una vez por store, no en cada operación
+function warnFallback(name, reason) {
+    if (warnedFallbacks.has(name)) return;
+    warnedFallbacks.add(name);
+    log.warn('netlify blobs unavailable, using local fallback store', { store: name, reason });
+}
+
+// Store de Blobs si hay paquete y contexto; null en cualquier otro caso
+export async function getBlobStore(name) {
+    if (!hasBlobsContext()) {
+        warnFallback(name, 'no_context');
+        return null;
+    }
+
+    const blobs = await loadBlobs();
+    if (!blobs) {
+        warnFallback(name, 'package_missing');
+        return null;
+    }
+    return blobs.getStore({ name, consistency: 'strong' });
+}
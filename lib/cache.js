@@ -0,0 +1,249 @@
+// Cache stale-while-revalidate con backend intercambiable
+// Backends: Netlify Blobs (por defecto, compartido por todas las instancias),
+// fichero JSON por clave (desarrollo local o respaldo sin Blobs, por instancia)
+// o memoria (tests). Sólo se guardan datos reales, nunca demo.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger, recordCacheResult } from './logger.js';
+import { getBlobStore } from './blobs.js';
+
+const log = createLogger({ module: 'cache' });
+
+export function createMemoryCacheStore() {
+    const entries = new Map();
+    const versions = new Map();
+    let nextVersion = 1;
+
+    return {
+        async get(key) {
+            return entries.get(key) || null;
+        },
+
+        async set(key, entry) {
+            entries.set(key, entry);
+            versions.set(key, nextVersion++);
+        },
+
+        async delete(key) {
+            entries.delete(key);
+            versions.delete(key);
+        },
+
+        // Escrituras condicionales (ver createBlobsCacheStore): version null = la clave no
+        // existe, undefined = versión desconocida (se escribe sin condición)
+        async getVersioned(key) {
+            return { entry: entries.get(key) || null, version: versions.get(key) || null };
+        },
+
+        async setIfVersion(key, entry, version) {
+            if (version !== undefined && (versions.get(key) || null) !== version) return false;
+            entries.set(key, entry);
+            versions.set(key, nextVersion++);
+            return true;
+        }
+    };
+}
+
+// Las claves llevan IDs y búsquedas libres: hash para un nombre de fichero o blob seguro
+function hashKey(key) {
+    return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+export function createFileCacheStore(directory) {
+    function filePath(key) {
+        return path.join(directory, `${hashKey(key)}.json`);
+    }
+
+    return {
+        async get(key) {
+            try {
+                const entry = JSON.parse(await fs.readFile(filePath(key), 'utf8'));
+                return entry.key === key ? entry : null;
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                log.warn('unreadable cache entry', { key, error });
+                return null;
+            }
+        },
+
+        async set(key, entry) {
+            await fs.mkdir(directory, { recursive: true });
+            // Escritura atómica: otra invocación nunca lee un JSON a medias
+            const target = filePath(key);
+            const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+            await fs.writeFile(temp, JSON.stringify({ ...entry, key }));
+            await fs.rename(temp, target);
+        },
+
+        async delete(key) {
+            await fs.rm(filePath(key), { force: true });
+        }
+    };
+}
+
+// Lectura/escritura condicional sobre cualquier store; los que no la soportan
+// (ficheros) escriben siempre
+export async function readVersioned(store, key) {
+    if (store.getVersioned) return store.getVersioned(key);
+    return { entry: await store.get(key), version: undefined };
+}
+
+export async function writeIfVersion(store, key, entry, version) {
+    if (store.setIfVersion) return store.setIfVersion(key, entry, version);
+    await store.set(key, entry);
+    return true;
+}
+
+// Netlify Blobs con la misma interfaz; mientras no haya Blobs (paquete o contexto)
+// cada operación va a fallbackStore, así el mismo store sirve en local y en Netlify.
+// getVersioned/setIfVersion usan el ETag del blob: setIfVersion devuelve false si
+// otra invocación escribió la clave entre medias.
+export function createBlobsCacheStore(name, fallbackStore) {
+    return {
+        async get(key) {
+            const blobStore = await getBlobStore(name);
+            if (!blobStore) return fallbackStore.get(key);
+
+            const entry = await blobStore.get(hashKey(key), { type: 'json' });
+            return entry && entry.key === key ? entry : null;
+        },
+
+        async set(key, entry) {
+            const blobStore = await getBlobStore(name);
+            if (!blobStore) return fallbackStore.set(key, entry);
+
+            await blobStore.setJSON(hashKey(key), { ...entry, key });
+        },
+
+        async delete(key) {
+            const blobStore = await getBlobStore(name);
+            if (!blobStore) return fallbackStore.delete(key);
+
+            await blobStore.delete(hashKey(key));
+        },
+
+        async getVersioned(key) {
+            const blobStore = await getBlobStore(name);
+            if (!blobStore) return readVersioned(fallbackStore, key);
+
+            const result = await blobStore.getWithMetadata(hashKey(key), { type: 'json' });
+            if (!result) return { entry: null, version: null };
+            // Sin ETag en la respuesta (servidor local de Blobs) la escritura no puede condicionarse
+            return { entry: result.data && result.data.key === key ? result.data : null, version: result.etag };
+        },
+
+        async setIfVersion(key, entry, version) {
+            const blobStore = await getBlobStore(name);
+            if (!blobStore) return writeIfVersion(fallbackStore, key, entry, version);
+
+            const conditions = version ? { onlyIfMatch: version } : version === null ? { onlyIfNew: true } : {};
+            const { modified } = await blobStore.setJSON(hashKey(key), { ...entry, key }, conditions);
+            return modified;
+        }
+    };
+}
+
+let cacheStore = null;
+
+// CACHE_STORE=blobs|file|memory (blobs por defecto, con ficheros como respaldo),
+// CACHE_BLOBS_STORE para el nombre del store y CACHE_DIR para el backend de ficheros
+export function getCacheStore() {
+    if (!cacheStore) {
+        const mode = process.env.CACHE_STORE || 'blobs';
+        const fileStore = () => createFileCacheStore(process.env.CACHE_DIR || path.join('/tmp', 'courts-cache'));
+
+        if (mode === 'memory') {
+            cacheStore = createMemoryCacheStore();
+        } else if (mode === 'file') {
+            cacheStore = fileStore();
+        } else {
+            cacheStore = createBlobsCacheStore(process.env.CACHE_BLOBS_STORE || 'courts-cache', fileStore());
+        }
+    }
+    return cacheStore;
+}
+
+export function setCacheStore(store) {
+    cacheStore = store;
+}
+
+// Tres ventanas a partir de storedAt:
+//   fresh         < freshTtl                      se sirve tal cual
+//   stale         < freshTtl + staleTtl           se sirve y se revalida en segundo plano
+//   stale-if-error < freshTtl + staleIfErrorTtl   sólo si la recarga falla
+// get() devuelve { value, state, age } con state 'fresh' | 'stale' | 'miss' y age en segundos
+export function createSwrCache({ namespace, freshTtl, staleTtl = 0, staleIfErrorTtl = 0, store = getCacheStore() }) {
+    const revalidating = new Map();
+
+    function fullKey(key) {
+        return `${namespace}:${key}`;
+    }
+
+    async function readEntry(key) {
+        try {
+            return await store.get(fullKey(key));
+        } catch (error) {
+            log.warn('cache store unavailable', { key, error });
+            return null;
+        }
+    }
+
+    async function load(key, loader) {
+        const value = await loader();
+        try {
+            await store.set(fullKey(key), { value, storedAt: Date.now() });
+        } catch (error) {
+            // Un backend caído no debe romper la respuesta
+            log.warn('cache write failed', { key, error });
+        }
+        return value;
+    }
+
+    // Una sola recarga en vuelo por clave
+    function revalidate(key, loader) {
+        if (revalidating.has(key)) return;
+
+        // En Netlify la promesa puede quedar congelada hasta la siguiente invocación
+        const task = load(key, loader)
+            .then(() => log.debug('cache revalidated', { key }))
+            .catch(error => log.warn('cache revalidation failed', { key, error }))
+            .finally(() => revalidating.delete(key));
+        revalidating.set(key, task);
+    }
+
+    return {
+        async get(key, loader) {
+            const entry = await readEntry(key);
+            const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+            if (age < freshTtl) {
+                recordCacheResult('fresh');
+                return { value: entry.value, state: 'fresh', age: Math.floor(age / 1000) };
+            }
+
+            if (age < freshTtl + staleTtl) {
+                recordCacheResult('stale');
+                revalidate(key, loader);
+                return { value: entry.value, state: 'stale', age: Math.floor(age / 1000) };
+            }
+
+            recordCacheResult('miss');
+            try {
+                return { value: await load(key, loader), state: 'miss', age: 0 };
+            } catch (error) {
+                if (age < freshTtl + staleIfErrorTtl) {
+                    log.warn('serving stale cache after error', { key, ageSeconds: Math.floor(age / 1000), error });
+                    return { value: entry.value, state: 'stale', age: Math.floor(age / 1000), error };
+                }
+                throw error;
+            }
+        },
+
+        // Para tests y scripts: espera a las revalidaciones pendientes
+        async settle() {
+            await Promise.all(revalidating.values());
+        }
+    };
+}
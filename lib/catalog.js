@@ -0,0 +1,70 @@
+// Catálogo de productos gestionado en servidor (data/catalog.json)
+// Los merchandisers añaden o retiran sneakers editando el JSON, sin tocar código.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'catalog' });
+
+// Versiones del formato de catálogo que este código sabe leer
+const SUPPORTED_VERSIONS = [1];
+
+const DEFAULT_IMAGE = 'https://images.unsplash.com/photo-1542291026-7eec264c27ff?w=700&h=500&fit=crop';
+
+export function getCatalogPath() {
+    return process.env.CATALOG_FILE || path.join(process.cwd(), 'data', 'catalog.json');
+}
+
+// Lee y valida el catálogo. Las entradas inválidas se descartan con aviso
+// para que un error de tipeo no tumbe todo el catálogo.
+export function loadCatalog(filePath = getCatalogPath()) {
+    const raw = JSON.parse(readFileSync(filePath, 'utf8'));
+
+    if (!SUPPORTED_VERSIONS.includes(raw.version)) {
+        throw new Error(`Unsupported catalog version: ${raw.version}`);
+    }
+
+    if (!Array.isArray(raw.products)) {
+        throw new Error('Catalog must include a "products" array');
+    }
+
+    const seen = new Set();
+    const products = [];
+
+    raw.products.forEach((entry, index) => {
+        if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) {
+            log.warn('catalog entry without id skipped', { index });
+            return;
+        }
+
+        const id = entry.id.trim();
+        if (seen.has(id)) {
+            log.warn('duplicate catalog id skipped', { id });
+            return;
+        }
+        seen.add(id);
+
+        products.push({
+            id,
+            name: entry.name || null,
+            collection: entry.collection || null,
+            sortOrder: Number.isFinite(entry.sortOrder) ? entry.sortOrder : index,
+            image: entry.image || DEFAULT_IMAGE,
+            fallbackPrice: Number.isFinite(entry.fallbackPrice) ? entry.fallbackPrice : null,
+            enabled: entry.enabled !== false
+        });
+    });
+
+    products.sort((a, b) => a.sortOrder - b.sortOrder);
+
+    return {
+        version: raw.version,
+        updatedAt: raw.updatedAt || null,
+        products
+    };
+}
+
+export function getEnabledProducts(catalog) {
+    return catalog.products.filter(product => product.enabled);
+}
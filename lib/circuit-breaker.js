@@ -0,0 +1,68 @@
+// Circuit breaker para la API externa
+// closed: todo pasa · open: se rechaza sin llamar · half-open: pasa una sola prueba
+
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'circuit-breaker' });
+
+export function createCircuitBreaker({ name, failureThreshold, cooldownMs }) {
+    let state = 'closed';
+    let consecutiveFailures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    function canRequest() {
+        if (state === 'closed') return true;
+
+        if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+            state = 'half-open';
+            log.info('circuit half-open', { circuit: name });
+        }
+
+        if (state === 'half-open' && !trialInFlight) {
+            trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    function recordSuccess() {
+        if (state !== 'closed') {
+            log.info('circuit closed', { circuit: name });
+        }
+        state = 'closed';
+        consecutiveFailures = 0;
+        trialInFlight = false;
+    }
+
+    function recordFailure() {
+        consecutiveFailures++;
+        trialInFlight = false;
+
+        if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+            if (state !== 'open') {
+                log.warn('circuit opened', { circuit: name, consecutiveFailures, cooldownMs });
+            }
+            state = 'open';
+            openedAt = Date.now();
+        }
+    }
+
+    // La petición de prueba se abandonó antes de llegar a la API (p. ej. sin cuota):
+    // se libera el hueco sin contar éxito ni fallo para que otra petición pueda probar
+    function releaseTrial() {
+        trialInFlight = false;
+    }
+
+    // Milisegundos hasta la próxima prueba (0 si no está abierto)
+    function retryIn() {
+        return state === 'open' ? Math.max(0, cooldownMs - (Date.now() - openedAt)) : 0;
+    }
+
+    function getState() {
+        return { state, consecutiveFailures, retryIn: retryIn() };
+    }
+
+    return { canRequest, recordSuccess, recordFailure, releaseTrial, getState };
+}
@@ -0,0 +1,56 @@
+// Errores con código HTTP para que los handlers los traduzcan a respuestas
+// code: identificador estable (snake_case) que el cliente traduce; el mensaje puede cambiar.
+// Cada clase tiene un código por defecto y details.code permite uno más concreto.
+
+export class HttpError extends Error {
+    constructor(message, statusCode, details = {}, defaultCode = 'http_error') {
+        super(message);
+        const { code, ...rest } = details || {};
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.code = code || defaultCode;
+        this.details = rest;
+    }
+}
+
+// Parámetros o body inválidos
+export class RequestError extends HttpError {
+    constructor(message, details) {
+        super(message, 400, details, 'invalid_request');
+    }
+}
+
+// Falta configuración del servidor (p. ej. KICKSDB_API_KEY)
+export class ConfigError extends HttpError {
+    constructor(message, details) {
+        super(message, 500, details, 'config_error');
+    }
+}
+
+// La API de KicksDB no respondió o respondió con error
+export class UpstreamError extends HttpError {
+    constructor(message, details) {
+        super(message, 502, details, 'upstream_unavailable');
+    }
+}
+
+// La API respondió pero sin el producto pedido
+export class NotFoundError extends HttpError {
+    constructor(message, details) {
+        super(message, 404, details, 'product_not_found');
+    }
+}
+
+// Producto fuera de la lista permitida (modo allowlist)
+export class ForbiddenError extends HttpError {
+    constructor(message, details) {
+        super(message, 403, details, 'forbidden');
+    }
+}
+
+// Límite de peticiones superado; details.retryAfter en segundos
+export class RateLimitError extends HttpError {
+    constructor(message, details) {
+        super(message, 429, details, 'rate_limited');
+    }
+}
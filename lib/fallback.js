@@ -0,0 +1,117 @@
+// Datos de demostración cuando la API de StockX no está disponible
+// Deterministas: mismo producto + mismo día (UTC) = mismas tallas y precios
+
+import { describeSize } from './sizes.js';
+import { loadCatalog } from './catalog.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'fallback' });
+
+// Por qué se sirvió demo en lugar de datos reales
+export const DEMO_REASONS = {
+    no_api_key: 'Datos de demostración - API no configurada',
+    upstream_error: 'Datos de demostración - API no disponible',
+    not_found: 'Datos de demostración - producto no encontrado en la API'
+};
+
+const DEMO_SIZE_RANGE = ['6.5', '7', '7.5', '8', '8.5', '9', '9.5', '10', '10.5', '11', '11.5', '12', '12.5', '13', '13.5', '14', '15'];
+const DEMO_BASE_PRICE = 120;
+const DEMO_IMAGE = 'https://images.unsplash.com/photo-1542291026-7eec264c27ff?w=700&h=500&fit=crop';
+
+// FNV-1a de 32 bits: convierte la semilla de texto en un entero
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: PRNG pequeño y suficiente para datos de demo (no criptográfico)
+export function createSeededRandom(seed) {
+    let state = hashSeed(String(seed));
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function getDemoDate(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Nombre, imagen y precio base del catálogo si el producto está en él
+function findCatalogProduct(productId) {
+    try {
+        return loadCatalog().products.find(product => product.id === productId) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Datos de fallback cuando no hay API
+export function createFallbackData(queryParam, isIdQuery = false, reason = 'upstream_error') {
+    const demoDate = getDemoDate();
+    const catalogProduct = isIdQuery ? findCatalogProduct(queryParam) : null;
+    const basePrice = catalogProduct ? catalogProduct.fallbackPrice : DEMO_BASE_PRICE;
+
+    log.info('serving demo data', { query: queryParam, reason, demoDate });
+
+    const fallbackTitle = isIdQuery ? `Zapatilla ${queryParam.slice(-1)}` : `Producto ${queryParam}`;
+
+    return {
+        sku: queryParam,
+        title: catalogProduct ? catalogProduct.name : fallbackTitle,
+        image: catalogProduct ? catalogProduct.image : DEMO_IMAGE,
+        lastUpdated: new Date().toISOString(),
+        regularPrice: basePrice,
+        sizes: generateFallbackSizes(`${queryParam}:${demoDate}`, basePrice),
+        _fallback: true,
+        _demoReason: DEMO_REASONS[reason] ? reason : 'upstream_error',
+        _demoDate: demoDate,
+        _message: DEMO_REASONS[reason] || DEMO_REASONS.upstream_error
+    };
+}
+
+// Generación de tallas de fallback realistas a partir de una semilla
+export function generateFallbackSizes(seed, basePrice = DEMO_BASE_PRICE) {
+    const random = createSeededRandom(seed);
+
+    return DEMO_SIZE_RANGE.map(size => {
+        const sizeFloat = parseFloat(size);
+        
+        // Probabilidad de disponibilidad basada en popularidad
+        let availabilityChance = 0.65;
+        if (sizeFloat >= 8 && sizeFloat <= 11) {
+            availabilityChance = 0.35; // Tallas populares menos disponibles
+        } else if (sizeFloat >= 13.5) {
+            availabilityChance = 0.80; // Tallas grandes más disponibles
+        }
+        
+        const available = random() < availabilityChance;
+        
+        // Variación de precio
+        const variation = random();
+        let priceMultiplier = 1.0;
+        if (sizeFloat <= 7 || sizeFloat >= 13.5) {
+            priceMultiplier = 1.20 + (variation * 0.40); // +20% a +60%
+        } else if (sizeFloat >= 8 && sizeFloat <= 10.5) {
+            priceMultiplier = 1.10 + (variation * 0.30); // +10% a +40%
+        } else {
+            priceMultiplier = 0.95 + (variation * 0.25); // -5% a +20%
+        }
+        
+        const finalPrice = available ? parseFloat((basePrice * priceMultiplier).toFixed(2)) : 0;
+        
+        return {
+            size: `US ${size}`,
+            sizeInfo: describeSize(size),
+            price: finalPrice,
+            available: available
+        };
+    });
+}
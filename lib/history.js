@@ -0,0 +1,188 @@
+// Historial de precios por producto, talla y mercado
+// Backends intercambiables: Netlify Blobs (por defecto, compartido por todas las
+// instancias), fichero JSONL (desarrollo local o respaldo sin Blobs) o memoria (tests)
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getBlobStore } from './blobs.js';
+
+// No guardamos más de un snapshot por producto/mercado en este intervalo
+const MIN_SNAPSHOT_INTERVAL = (parseInt(process.env.HISTORY_MIN_INTERVAL_SECONDS, 10) || 15 * 60) * 1000;
+
+function seriesKey(productId, market) {
+    return `${productId}-${market}`;
+}
+
+// Nombre seguro para ficheros y claves de blob
+function safeSeriesName(productId, market) {
+    return seriesKey(productId, market).replace(/[^\w-]/g, '_');
+}
+
+function matchesRange(snapshot, { size, from, to }) {
+    if (size && snapshot.size !== size) return false;
+    if (from && snapshot.timestamp < from) return false;
+    if (to && snapshot.timestamp > to) return false;
+    return true;
+}
+
+export function createMemoryHistoryStore() {
+    const series = new Map();
+
+    return {
+        async append(productId, market, snapshots) {
+            const key = seriesKey(productId, market);
+            series.set(key, [...(series.get(key) || []), ...snapshots]);
+        },
+
+        async query(productId, market, range = {}) {
+            return (series.get(seriesKey(productId, market)) || []).filter(snapshot => matchesRange(snapshot, range));
+        },
+
+        async lastTimestamp(productId, market) {
+            const snapshots = series.get(seriesKey(productId, market)) || [];
+            return snapshots.length > 0 ? snapshots[snapshots.length - 1].timestamp : null;
+        }
+    };
+}
+
+// Un fichero JSONL por producto y mercado: añadir es barato y no reescribe nada.
+// El último timestamp va aparte (<serie>.last) para no leer la serie en cada producto
+export function createFileHistoryStore(directory) {
+    function filePath(productId, market, extension = 'jsonl') {
+        return path.join(directory, `${safeSeriesName(productId, market)}.${extension}`);
+    }
+
+    async function readSeries(productId, market) {
+        try {
+            const content = await fs.readFile(filePath(productId, market), 'utf8');
+            return content
+                .split('\n')
+                .filter(Boolean)
+                .map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    return {
+        async append(productId, market, snapshots) {
+            await fs.mkdir(directory, { recursive: true });
+            const lines = snapshots.map(snapshot => JSON.stringify(snapshot)).join('\n');
+            await fs.appendFile(filePath(productId, market), `${lines}\n`);
+            await fs.writeFile(filePath(productId, market, 'last'), snapshots[snapshots.length - 1].timestamp);
+        },
+
+        async query(productId, market, range = {}) {
+            const snapshots = await readSeries(productId, market);
+            return snapshots.filter(snapshot => matchesRange(snapshot, range));
+        },
+
+        async lastTimestamp(productId, market) {
+            try {
+                return (await fs.readFile(filePath(productId, market, 'last'), 'utf8')).trim() || null;
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        }
+    };
+}
+
+// Netlify Blobs no tiene append: cada lectura de producto es un blob propio
+// (snapshots/<serie>/<timestamp>) y latest/<serie> guarda el último timestamp.
+// Los timestamps ISO ordenan como texto, así el rango se filtra por la clave.
+// Mientras no haya Blobs cada operación va a fallbackStore
+export function createBlobsHistoryStore(name, fallbackStore) {
+    return {
+        async append(productId, market, snapshots) {
+            const blobStore = await getBlobStore(name);
+            if (!blobStore) return fallbackStore.append(productId, market, snapshots);
+
+            const series = safeSeriesName(productId, market);
+            const timestamp = snapshots[snapshots.length - 1].timestamp;
+            await blobStore.setJSON(`snapshots/${series}/${timestamp}`, snapshots);
+            await blobStore.setJSON(`latest/${series}`, { timestamp });
+        },
+
+        async query(productId, market, range = {}) {
+            const blobStore = await getBlobStore(name);
+            if (!blobStore) return fallbackStore.query(productId, market, range);
+
+            const prefix = `snapshots/${safeSeriesName(productId, market)}/`;
+            const { blobs } = await blobStore.list({ prefix });
+            const keys = blobs
+                .map(blob => blob.key)
+                .filter(key => matchesRange({ timestamp: key.slice(prefix.length) }, { from: range.from, to: range.to }))
+                .sort();
+
+            const batches = await Promise.all(keys.map(key => blobStore.get(key, { type: 'json' })));
+            return batches
+                .flatMap(batch => batch || [])
+                .filter(snapshot => matchesRange(snapshot, range));
+        },
+
+        async lastTimestamp(productId, market) {
+            const blobStore = await getBlobStore(name);
+            if (!blobStore) return fallbackStore.lastTimestamp(productId, market);
+
+            const latest = await blobStore.get(`latest/${safeSeriesName(productId, market)}`, { type: 'json' });
+            return latest ? latest.timestamp : null;
+        }
+    };
+}
+
+let historyStore = null;
+
+// HISTORY_STORE=blobs|file|memory (blobs por defecto, con ficheros como respaldo),
+// HISTORY_BLOBS_STORE para el nombre del store y HISTORY_DIR para el backend de ficheros
+export function getHistoryStore() {
+    if (!historyStore) {
+        const mode = process.env.HISTORY_STORE || 'blobs';
+        const fileStore = () => createFileHistoryStore(process.env.HISTORY_DIR || path.join('/tmp', 'courts-history'));
+
+        if (mode === 'memory') {
+            historyStore = createMemoryHistoryStore();
+        } else if (mode === 'file') {
+            historyStore = fileStore();
+        } else {
+            historyStore = createBlobsHistoryStore(process.env.HISTORY_BLOBS_STORE || 'courts-history', fileStore());
+        }
+    }
+    return historyStore;
+}
+
+export function setHistoryStore(store) {
+    historyStore = store;
+}
+
+// Guarda un snapshot por talla con los datos de mercado (lowest ask, asks, ventas)
+export async function recordProductSnapshot(productId, market, productData, store = getHistoryStore()) {
+    const lastTimestamp = await store.lastTimestamp(productId, market);
+    const now = new Date();
+
+    if (lastTimestamp && now - new Date(lastTimestamp) < MIN_SNAPSHOT_INTERVAL) {
+        return 0;
+    }
+
+    const timestamp = now.toISOString();
+    const snapshots = productData.sizes
+        .filter(sizeData => sizeData.marketData)
+        .map(sizeData => ({
+            timestamp,
+            size: sizeData.size,
+            lowestAsk: sizeData.marketData.lowest_ask,
+            currency: productData._market ? productData._market.currency : 'USD',
+            totalAsks: sizeData.marketData.total_asks,
+            sales15Days: sizeData.marketData.sales_15_days,
+            sales30Days: sizeData.marketData.sales_30_days,
+            sales60Days: sizeData.marketData.sales_60_days,
+            available: sizeData.available
+        }));
+
+    if (snapshots.length > 0) {
+        await store.append(productId, market, snapshots);
+    }
+
+    return snapshots.length;
+}
@@ -0,0 +1,67 @@
+// Respuestas HTTP comunes de las funciones: CORS, JSON, preflight y ETags
+
+import crypto from 'crypto';
+
+export function corsHeaders(allowedMethods = 'GET, OPTIONS') {
+    return {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, If-None-Match',
+        'Access-Control-Allow-Methods': allowedMethods
+    };
+}
+
+export function preflightResponse(allowedMethods) {
+    return {
+        statusCode: 200,
+        headers: corsHeaders(allowedMethods),
+        body: ''
+    };
+}
+
+// noStore: la variante legacy pide Cache-Control: no-store en todas sus respuestas
+export function jsonResponse(statusCode, body, { noStore = false, headers = {} } = {}) {
+    return {
+        statusCode,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Content-Type': 'application/json',
+            ...(noStore ? { 'Cache-Control': 'no-store' } : {}),
+            ...headers
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+export function methodNotAllowed(options) {
+    return jsonResponse(405, { error: 'Method not allowed', code: 'method_not_allowed' }, options);
+}
+
+// ETag débil sobre el JSON; ignoredKeys se omiten a cualquier profundidad
+// (p. ej. marcas de tiempo que cambian sin que cambie el contenido)
+export function computeEtag(value, ignoredKeys = []) {
+    const json = JSON.stringify(value, (key, fieldValue) => (ignoredKeys.includes(key) ? undefined : fieldValue));
+    const hash = crypto.createHash('sha1').update(json).digest('base64url').slice(0, 22);
+    return `W/"${hash}"`;
+}
+
+// If-None-Match admite varias etiquetas separadas por coma y '*'; comparación débil
+export function etagMatches(ifNoneMatch, etag) {
+    if (!ifNoneMatch || !etag) return false;
+
+    const stripWeak = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch
+        .split(',')
+        .some(tag => tag.trim() === '*' || stripWeak(tag) === stripWeak(etag));
+}
+
+export function notModifiedResponse(headers = {}) {
+    return {
+        statusCode: 304,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Expose-Headers': 'ETag',
+            ...headers
+        },
+        body: ''
+    };
+}
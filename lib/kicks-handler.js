@@ -0,0 +1,520 @@
+// Handler compartido de productos KicksDB
+// functions/kicksdb.js y netlify/functions/kicksdb.js son configuraciones de este handler
+
+import { jsonResponse, preflightResponse, methodNotAllowed, computeEtag, etagMatches, notModifiedResponse } from './http.js';
+import { getQueryParams, getHeader, parseJsonBody, parseIdList, parsePagination } from './request.js';
+import { createSwrCache } from './cache.js';
+import { requestJson, requestFirstJson, mapWithConcurrency, isReplayMode } from './upstream.js';
+import { HttpError, RequestError, ConfigError, UpstreamError, NotFoundError, ForbiddenError, RateLimitError } from './errors.js';
+import { getAdapter, listSources, DEFAULT_SOURCE } from './adapters/index.js';
+import { createFallbackData } from './fallback.js';
+import { recordProductSnapshot } from './history.js';
+import { createPricingContext, priceProduct, priceSummary, getQuoteRates } from './pricing.js';
+import { resolveMarket, describeMarket } from './markets.js';
+import { checkClientLimit, DEFAULT_ROUTE_LIMITS } from './rate-limit.js';
+import { loadCatalog, getEnabledProducts } from './catalog.js';
+import { connectBlobs } from './blobs.js';
+import { createLogger, withRequestLogging, recordResultSource, setRequestField } from './logger.js';
+
+const DEFAULT_CONFIG = {
+    name: 'kicksdb',
+    // Ventanas de cache: fresca, stale-while-revalidate y stale-if-error
+    cacheTtl: 60 * 1000,
+    staleTtl: 5 * 60 * 1000,
+    staleIfErrorTtl: 24 * 60 * 60 * 1000,
+    // Parámetros de producto aceptados (?id= y/o ?sku=)
+    acceptId: true,
+    acceptSku: true,
+    // Sin API key o con error de la API: datos demo (true) o error HTTP (false)
+    fallbackToDemo: true,
+    // Cache-Control: no-store en errores y respuestas no cacheables
+    noStore: false,
+    defaultSource: DEFAULT_SOURCE,
+    allowSourceParam: true,
+    enableBatch: true,
+    enableSearch: true,
+    recordHistory: true,
+    // Motor de precios (data/pricing.json): el cliente ve precio de venta, nunca el ask
+    applyPricing: true,
+    userAgent: 'Courts-StockX-App/1.3',
+    batchMaxIds: 50,
+    batchConcurrency: 4,
+    searchDefaultLimit: 12,
+    searchMaxLimit: 50,
+    // Token bucket por IP y ruta (product, batch, search); null desactiva el límite
+    rateLimits: DEFAULT_ROUTE_LIMITS,
+    // 'catalog': sólo IDs habilitados en data/catalog.json y sin búsqueda libre
+    allowlist: process.env.KICKSDB_ALLOWLIST || null
+};
+
+const log = createLogger({ module: 'kicks-handler' });
+
+function missingProductParamMessage({ acceptId, acceptSku }) {
+    if (acceptId && acceptSku) return 'SKU or ID parameter is required';
+    return acceptId ? 'ID parameter is required' : 'SKU parameter is required';
+}
+
+function getDemoReason(error) {
+    if (error instanceof ConfigError) return 'no_api_key';
+    if (error instanceof NotFoundError) return 'not_found';
+    return 'upstream_error';
+}
+
+export function createKicksHandler(overrides = {}) {
+    const config = { ...DEFAULT_CONFIG, ...overrides };
+    const cacheWindows = {
+        freshTtl: config.cacheTtl,
+        staleTtl: config.staleTtl,
+        staleIfErrorTtl: config.staleIfErrorTtl
+    };
+    const productCache = createSwrCache({ namespace: 'product', ...cacheWindows });
+    const searchCache = createSwrCache({ namespace: 'search', ...cacheWindows });
+    const responseOptions = { noStore: config.noStore };
+    // Campos que cambian entre lecturas sin que cambien precios ni tallas
+    const etagIgnoredKeys = ['lastUpdated', '_stale', '_staleAge'];
+    const allowedMethods = config.enableBatch ? 'GET, POST, OPTIONS' : 'GET, OPTIONS';
+
+    function respond(statusCode, body) {
+        return jsonResponse(statusCode, body, responseOptions);
+    }
+
+    // Cache-Control acorde a las ventanas del cache del servidor; la demo siempre se revalida
+    function cacheControlFor(body) {
+        if (body._fallback) return 'no-cache';
+
+        const maxAge = body._stale ? 0 : Math.floor(config.cacheTtl / 1000);
+        const staleWhileRevalidate = config.staleTtl > 0
+            ? `, stale-while-revalidate=${Math.floor(config.staleTtl / 1000)}`
+            : '';
+        return `public, max-age=${maxAge}${staleWhileRevalidate}`;
+    }
+
+    function getEtag(body) {
+        return computeEtag(body, etagIgnoredKeys);
+    }
+
+    // 200 con ETag y Cache-Control, o 304 si el cliente ya tiene esta versión
+    function respondCacheable(event, body, cacheControl = cacheControlFor(body)) {
+        const headers = {
+            'ETag': getEtag(body),
+            'Cache-Control': cacheControl,
+            'Access-Control-Expose-Headers': 'ETag'
+        };
+
+        if (etagMatches(getHeader(event, 'if-none-match'), headers.ETag)) {
+            log.debug('not modified', { etag: headers.ETag });
+            return notModifiedResponse(headers);
+        }
+
+        return jsonResponse(200, body, { headers });
+    }
+
+    function getCacheKey(query, market = 'US') {
+        return `${query}-${market}`;
+    }
+
+    function resolveAdapter(source) {
+        const sourceName = config.allowSourceParam && source ? source : config.defaultSource;
+        const adapter = getAdapter(sourceName);
+        if (!adapter) {
+            throw new RequestError(`Unknown source "${sourceName}". Valid sources: ${listSources().join(', ')}`, {
+                code: 'unknown_source'
+            });
+        }
+        return adapter;
+    }
+
+    // Adaptador + mercado validado contra los que soporta su API
+    function resolveSource(source, market) {
+        const adapter = resolveAdapter(source);
+        return { adapter, market: resolveMarket(market, adapter.markets) };
+    }
+
+    function getApiKey() {
+        const apiKey = process.env.KICKSDB_API_KEY;
+        // En replay no se llama a la API: los fixtures bastan
+        if (!apiKey && isReplayMode()) return '';
+        if (!apiKey) {
+            throw new ConfigError('Server configuration error - API key not configured', { code: 'api_key_missing' });
+        }
+        return apiKey;
+    }
+
+    // Traduce errores a respuestas; los campos extra dependen del tipo de error.
+    // Todas llevan un code estable para que el cliente muestre el mensaje en su idioma.
+    function errorResponse(error, query) {
+        if (error instanceof NotFoundError) {
+            return respond(404, {
+                error: 'Product not found',
+                code: error.code,
+                sku: query,
+                message: 'No products found matching this SKU'
+            });
+        }
+
+        if (error instanceof UpstreamError) {
+            return respond(502, {
+                error: 'Unable to connect to KicksDB API',
+                code: error.code,
+                message: 'All API endpoints returned invalid responses. Please check your API key and SKU format.',
+                sku: query,
+                endpoints_tried: error.details.endpointsTried || 1
+            });
+        }
+
+        if (error instanceof RateLimitError) {
+            return jsonResponse(429, { error: error.message, code: error.code, retryAfter: error.details.retryAfter }, {
+                noStore: true,
+                headers: {
+                    'Retry-After': String(error.details.retryAfter),
+                    'X-RateLimit-Limit': String(error.details.limit),
+                    'X-RateLimit-Remaining': '0'
+                }
+            });
+        }
+
+        if (error instanceof HttpError) {
+            return respond(error.statusCode, { error: error.message, code: error.code });
+        }
+
+        log.error('error processing KicksDB response', { query, error });
+        return respond(500, {
+            error: 'API processing error',
+            code: 'processing_error',
+            message: error.message,
+            sku: query
+        });
+    }
+
+    // Datos servidos fuera de la ventana fresca: se marcan con su antigüedad en segundos
+    function withCacheState({ value, state, age }) {
+        recordResultSource(state === 'fresh' ? 'cache' : state === 'miss' ? 'live' : 'stale');
+        return state === 'stale' ? { ...value, _stale: true, _staleAge: age } : value;
+    }
+
+    // Obtiene un producto de la API del mercado. Lanza si no hay API key,
+    // si la API falla o si la respuesta no trae un producto válido.
+    async function fetchProductData(query, isIdQuery, market, adapter) {
+        const apiKey = getApiKey();
+        log.debug('fetching product', { source: adapter.name, query, queryType: isIdQuery ? 'id' : 'sku' });
+
+        // Endpoint correcto según el tipo de consulta; el adaptador genérico prueba varios
+        let urls;
+        if (adapter.buildProductUrls) {
+            urls = adapter.buildProductUrls(query, { market });
+        } else if (isIdQuery || !adapter.buildSearchUrl) {
+            urls = [adapter.buildProductUrl(query, { market })];
+        } else {
+            urls = [adapter.buildSearchUrl(query, { limit: 3, market })];
+        }
+
+        let data;
+        try {
+            ({ data } = await requestFirstJson(urls, { apiKey, userAgent: config.userAgent }));
+        } catch (error) {
+            if (error.details.notFound) {
+                throw new NotFoundError('Product not found in the API', { query });
+            }
+            throw error;
+        }
+
+        const product = adapter.extractProduct(data, { isIdQuery });
+        if (!product) {
+            throw new NotFoundError('No product data found in API response');
+        }
+
+        const productData = {
+            ...adapter.normalizeProduct(product, { sku: query }),
+            _market: describeMarket(market)
+        };
+
+        log.debug('product normalized', {
+            source: adapter.name,
+            query,
+            market,
+            sizesTotal: productData.sizes.length,
+            sizesAvailable: productData.sizes.filter(s => s.available).length
+        });
+
+        if (config.recordHistory && isIdQuery) {
+            // El historial nunca debe romper la respuesta principal
+            await recordProductSnapshot(query, market, productData)
+                .catch(historyError => log.warn('history snapshot failed', { query, error: historyError }));
+        }
+
+        return productData;
+    }
+
+    // Cache -> API; si la API falla se sirve el último dato real antes que la demo
+    async function getProductData(query, isIdQuery, market, adapter) {
+        const cacheKey = getCacheKey(`${adapter.name}:${query}`, market);
+        const entry = await productCache.get(cacheKey, () => fetchProductData(query, isIdQuery, market, adapter));
+        return withCacheState(entry);
+    }
+
+    // Producto o, si está configurado, datos demo en su lugar (la demo no se cachea)
+    async function loadProduct(query, isIdQuery, market, adapter) {
+        try {
+            return await getProductData(query, isIdQuery, market, adapter);
+        } catch (error) {
+            if (!config.fallbackToDemo) throw error;
+
+            recordResultSource('demo');
+            return createFallbackData(query, isIdQuery, getDemoReason(error));
+        }
+    }
+
+    // El cache guarda asks; el precio de venta se calcula en cada respuesta
+    // para que un cambio de reglas no espere a que caduque el cache
+    async function getPricing(market, currency) {
+        return config.applyPricing ? createPricingContext({ market, currency: currency || 'USD' }) : null;
+    }
+
+    async function loadPricedProduct(query, isIdQuery, market, adapter, pricing) {
+        const data = await loadProduct(query, isIdQuery, market, adapter);
+        return pricing ? priceProduct(data, pricing, isIdQuery ? query : data.id) : data;
+    }
+
+    async function handleProduct(params, event) {
+        const { sku, id, currency } = params;
+        const productId = config.acceptId ? id : undefined;
+        const productSku = config.acceptSku ? sku : undefined;
+
+        if (!productId && !productSku) {
+            throw new RequestError(missingProductParamMessage(config), { code: 'missing_product_param' });
+        }
+
+        const { adapter, market } = resolveSource(params.source, params.market);
+
+        // Priorizar ID sobre SKU
+        const rawQuery = productId || productSku;
+        const query = adapter.normalizeQuery ? adapter.normalizeQuery(rawQuery) : rawQuery;
+        assertAllowed([query]);
+
+        const pricing = await getPricing(market, currency);
+
+        try {
+            const productData = await loadPricedProduct(query, !!productId, market, adapter, pricing);
+            return respondCacheable(event, productData);
+        } catch (error) {
+            return errorResponse(error, query);
+        }
+    }
+
+    // Carga varios productos en paralelo (con límite) compartiendo el cache.
+    // Un ID con error no rompe el lote: cada producto lleva su propio status.
+    // knownEtags ({ id: etag }) permite responder 'not_modified' sin repetir los datos.
+    async function handleBatch(event, rawIds, { market: requestedMarket, currency, source, knownEtags = {} } = {}) {
+        const ids = parseIdList(rawIds, config.batchMaxIds);
+        const { adapter, market } = resolveSource(source, requestedMarket);
+        assertAllowed(ids);
+        const pricing = await getPricing(market, currency);
+
+        setRequestField('batchSize', ids.length);
+
+        const results = await mapWithConcurrency(ids, config.batchConcurrency, async productId => {
+            try {
+                const data = await loadPricedProduct(productId, true, market, adapter, pricing);
+                const etag = getEtag(data);
+                if (knownEtags[productId] === etag) {
+                    return { status: 'not_modified', etag };
+                }
+
+                const status = data._fallback ? 'fallback' : data._stale ? 'stale' : 'ok';
+                return { status, etag, data };
+            } catch (error) {
+                log.warn('batch product failed', { productId, error });
+                return { status: 'error', error: error.message, code: error.code || 'processing_error' };
+            }
+        });
+
+        const products = {};
+        ids.forEach((productId, index) => {
+            products[productId] = results[index];
+        });
+
+        const summary = { requested: ids.length, ok: 0, not_modified: 0, stale: 0, fallback: 0, error: 0 };
+        results.forEach(result => {
+            summary[result.status]++;
+        });
+
+        log.debug('batch processed', { summary });
+
+        // Un lote mezcla productos con distinta frescura: el navegador siempre revalida
+        return respondCacheable(event, {
+            market,
+            marketCurrency: describeMarket(market).currency,
+            ...(pricing ? { currency: pricing.currency, rates: getQuoteRates(pricing) } : {}),
+            source: adapter.name,
+            products,
+            summary
+        }, 'no-cache');
+    }
+
+    async function fetchSearchResults(query, page, limit, market, adapter) {
+        const apiEndpoint = adapter.buildSearchUrl(query, { page, limit, market });
+        log.debug('searching', { source: adapter.name, query, page, limit, market });
+
+        const data = await requestJson(apiEndpoint, { apiKey: getApiKey(), userAgent: config.userAgent });
+        const { products, total } = adapter.extractSearchResults(data);
+
+        const searchData = {
+            query,
+            page,
+            limit,
+            total,
+            hasMore: total !== null ? page * limit < total : products.length === limit,
+            results: products.map(adapter.normalizeSummary),
+            _market: describeMarket(market)
+        };
+
+        return searchData;
+    }
+
+    async function searchProducts(query, page, limit, market, adapter) {
+        const cacheKey = getCacheKey(`${adapter.name}:${query.toLowerCase()}:${page}:${limit}`, market);
+        const entry = await searchCache.get(cacheKey, () => fetchSearchResults(query, page, limit, market, adapter));
+        return withCacheState(entry);
+    }
+
+    // Búsqueda paginada en el mercado elegido: devuelve resúmenes ligeros, no el detalle de tallas
+    async function handleSearch(params, event) {
+        const query = (params.query || '').trim();
+        if (!query) {
+            throw new RequestError('Query parameter must not be empty', { code: 'empty_query' });
+        }
+
+        // La búsqueda libre gasta cuota con consultas arbitrarias
+        if (config.allowlist === 'catalog') {
+            throw new ForbiddenError('Search is disabled in allowlist mode', { code: 'search_disabled' });
+        }
+
+        const { adapter, market } = resolveSource(params.source, params.market);
+        if (!adapter.buildSearchUrl) {
+            throw new RequestError(`Search is not supported for source "${adapter.name}"`, { code: 'search_not_supported' });
+        }
+
+        const { page, limit } = parsePagination(params.page, params.limit, {
+            defaultLimit: config.searchDefaultLimit,
+            maxLimit: config.searchMaxLimit
+        });
+        const pricing = await getPricing(market, params.currency);
+
+        try {
+            const searchData = await searchProducts(query, page, limit, market, adapter);
+            return respondCacheable(event, pricing
+                ? {
+                    ...searchData,
+                    currency: pricing.currency,
+                    rates: getQuoteRates(pricing),
+                    results: searchData.results.map(result => priceSummary(result, pricing, describeMarket(market).currency))
+                }
+                : searchData);
+        } catch (error) {
+            if (error instanceof ConfigError && config.fallbackToDemo) {
+                log.warn('search unavailable, API key not configured');
+                return respondCacheable(event, {
+                    query,
+                    page,
+                    limit,
+                    total: 0,
+                    hasMore: false,
+                    results: [],
+                    _fallback: true,
+                    _demoReason: 'no_api_key',
+                    _message: 'Búsqueda no disponible - API no configurada'
+                });
+            }
+
+            if (error instanceof ConfigError) {
+                return errorResponse(error, query);
+            }
+
+            return respond(502, { error: 'Search unavailable', code: 'search_unavailable', message: error.message });
+        }
+    }
+
+    // Modo allowlist: se relee el catálogo en cada petición para respetar cambios sin redeploy
+    function assertAllowed(productIds) {
+        if (config.allowlist !== 'catalog') return;
+
+        const allowedIds = new Set(getEnabledProducts(loadCatalog()).map(product => product.id));
+        const rejected = productIds.filter(productId => !allowedIds.has(productId));
+        if (rejected.length > 0) {
+            throw new ForbiddenError(`Product not allowed: ${rejected.join(', ')}`, { code: 'product_not_allowed' });
+        }
+    }
+
+    function getRouteName(event, params) {
+        if (config.enableBatch && (event.httpMethod === 'POST' || params.ids !== undefined)) return 'batch';
+        if (config.enableSearch && params.query !== undefined) return 'search';
+        return 'product';
+    }
+
+    async function enforceRateLimit(event, routeName) {
+        if (!config.rateLimits) return;
+
+        const result = await checkClientLimit(event, routeName, config.rateLimits);
+        if (!result.allowed) {
+            log.warn('rate limit exceeded', { route: routeName, retryAfterSeconds: result.retryAfter });
+            throw new RateLimitError('Too many requests', { retryAfter: result.retryAfter, limit: result.limit });
+        }
+    }
+
+    async function route(event) {
+        if (event.httpMethod !== 'GET' && !(event.httpMethod === 'POST' && config.enableBatch)) {
+            return methodNotAllowed(responseOptions);
+        }
+
+        const params = getQueryParams(event);
+        const routeName = getRouteName(event, params);
+        setRequestField('route', routeName);
+        await enforceRateLimit(event, routeName);
+
+        if (event.httpMethod === 'POST' && config.enableBatch) {
+            const payload = parseJsonBody(event);
+            const knownEtags = payload.etags && typeof payload.etags === 'object' ? payload.etags : {};
+            return handleBatch(event, payload.ids, {
+                market: payload.market,
+                currency: payload.currency,
+                source: payload.source,
+                knownEtags
+            });
+        }
+
+        log.debug('query parameters', { params });
+
+        if (config.enableBatch && params.ids !== undefined) {
+            return handleBatch(event, params.ids.split(','), {
+                market: params.market,
+                currency: params.currency,
+                source: params.source
+            });
+        }
+
+        if (config.enableSearch && params.query !== undefined) {
+            return handleSearch(params, event);
+        }
+
+        return handleProduct(params, event);
+    }
+
+    return withRequestLogging(config.name, async function handler(event) {
+        // Handle CORS preflight
+        if (event.httpMethod === 'OPTIONS') {
+            return preflightResponse(allowedMethods);
+        }
+
+        try {
+            // Cache y rate limit usan Netlify Blobs si el evento trae su contexto
+            await connectBlobs(event);
+            return await route(event);
+        } catch (error) {
+            if (error instanceof RequestError) {
+                log.info('invalid request', { error: error.message });
+                return respond(400, { error: error.message, code: error.code });
+            }
+            return errorResponse(error);
+        }
+    });
+}
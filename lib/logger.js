@@ -0,0 +1,176 @@
+// Logs estructurados: una línea JSON por evento, con nivel (LOG_LEVEL), request ID
+// y redacción automática de secretos. Cada petición termina con una línea resumen
+// (cache, latencia de la API y origen de los datos).
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getHeader } from './request.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+const MAX_STRING_LENGTH = 500;
+
+// Campos cuyo valor nunca se escribe, se llamen como se llamen en cada módulo
+const SECRET_KEY_PATTERN = /(api[-_]?key|token|secret|password|authorization|cookie)/i;
+// Variables de entorno cuyo valor se borra si aparece dentro de cualquier texto
+const SECRET_ENV_PATTERN = /(KEY|TOKEN|SECRET|PASSWORD)/;
+
+const requestContext = new AsyncLocalStorage();
+
+function getMinLevel() {
+    return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+function getSecretValues() {
+    return Object.entries(process.env)
+        .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && value && value.length >= 6)
+        .map(([, value]) => value);
+}
+
+function redactString(value, secrets) {
+    let text = value.replace(/Bearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`);
+    secrets.forEach(secret => {
+        text = text.split(secret).join(REDACTED);
+    });
+    return text.length > MAX_STRING_LENGTH ? `${text.slice(0, MAX_STRING_LENGTH)}…(${text.length} chars)` : text;
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.statusCode ? { statusCode: error.statusCode } : {}),
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.details && Object.keys(error.details).length > 0 ? { details: error.details } : {}),
+        ...(getMinLevel() <= LEVELS.debug ? { stack: error.stack } : {})
+    };
+}
+
+export function redact(value, secrets = getSecretValues(), depth = 0) {
+    if (value instanceof Error) return redact(serializeError(value), secrets, depth);
+    if (typeof value === 'string') return redactString(value, secrets);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 5) return '[Object]';
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, secrets, depth + 1));
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([key, fieldValue]) => {
+        result[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(fieldValue, secrets, depth + 1);
+    });
+    return result;
+}
+
+function write(level, message, context, fields) {
+    if (LEVELS[level] < getMinLevel()) return;
+
+    const store = requestContext.getStore();
+    const entry = redact({
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(store ? { requestId: store.requestId, function: store.functionName } : {}),
+        ...context,
+        ...fields
+    });
+
+    const line = JSON.stringify(entry);
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+}
+
+// createLogger({ module: 'cache' }).info('mensaje', { campos })
+export function createLogger(context = {}) {
+    return {
+        debug: (message, fields) => write('debug', message, context, fields),
+        info: (message, fields) => write('info', message, context, fields),
+        warn: (message, fields) => write('warn', message, context, fields),
+        error: (message, fields) => write('error', message, context, fields),
+        child: extra => createLogger({ ...context, ...extra })
+    };
+}
+
+// Se respeta un X-Request-Id entrante si es razonable; si no, el de Netlify o uno nuevo
+export function getRequestId(event) {
+    const incoming = getHeader(event, 'x-request-id');
+    if (incoming && /^[\w.-]{1,64}$/.test(incoming)) return incoming;
+
+    return getHeader(event, 'x-nf-request-id') || crypto.randomUUID();
+}
+
+// Contadores de la petición en curso para la línea resumen (no-op fuera de una petición)
+export function recordCacheResult(state) {
+    const store = requestContext.getStore();
+    if (store) store.cache[state] = (store.cache[state] || 0) + 1;
+}
+
+export function recordUpstreamAttempt(durationMs) {
+    const store = requestContext.getStore();
+    if (!store) return;
+    store.upstream.attempts++;
+    store.upstream.latencyMs += durationMs;
+}
+
+// live | cache | stale | demo
+export function recordResultSource(source) {
+    const store = requestContext.getStore();
+    if (store) store.sources[source] = (store.sources[source] || 0) + 1;
+}
+
+export function setRequestField(name, value) {
+    const store = requestContext.getStore();
+    if (store) store.fields[name] = value;
+}
+
+const requestLog = createLogger({ module: 'request' });
+
+// Envuelve un handler de Netlify: request ID en contexto y en X-Request-Id, y resumen al terminar
+export function withRequestLogging(functionName, handler) {
+    return async (event, context) => {
+        const store = {
+            requestId: getRequestId(event),
+            functionName,
+            fields: {},
+            cache: {},
+            upstream: { attempts: 0, latencyMs: 0 },
+            sources: {}
+        };
+        const startedAt = Date.now();
+
+        return requestContext.run(store, async () => {
+            let response;
+            try {
+                response = await handler(event, context);
+            } catch (error) {
+                requestLog.error('unhandled error', { error });
+                response = {
+                    statusCode: 500,
+                    headers: { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Internal server error', code: 'internal_error' })
+                };
+            }
+
+            const exposed = response.headers && response.headers['Access-Control-Expose-Headers'];
+            response.headers = {
+                ...response.headers,
+                'X-Request-Id': store.requestId,
+                'Access-Control-Expose-Headers': exposed ? `${exposed}, X-Request-Id` : 'X-Request-Id'
+            };
+
+            requestLog.info('request completed', {
+                method: event.httpMethod,
+                ...store.fields,
+                status: response.statusCode,
+                durationMs: Date.now() - startedAt,
+                cache: store.cache,
+                upstream: store.upstream,
+                sources: store.sources
+            });
+
+            return response;
+        });
+    };
+}
@@ -0,0 +1,35 @@
+// Mercados regionales: código que se envía a la API y moneda en la que vienen sus asks
+
+import { RequestError } from './errors.js';
+
+export const DEFAULT_MARKET = 'US';
+
+export const MARKETS = {
+    US: { currency: 'USD' },
+    GB: { currency: 'GBP' },
+    DE: { currency: 'EUR' },
+    FR: { currency: 'EUR' },
+    JP: { currency: 'JPY' }
+};
+
+export function getMarketCurrency(market) {
+    return MARKETS[market] ? MARKETS[market].currency : MARKETS[DEFAULT_MARKET].currency;
+}
+
+// ?market= opcional; cada adaptador declara qué mercados soporta su API
+export function resolveMarket(value, supported = Object.keys(MARKETS)) {
+    const market = value ? String(value).trim().toUpperCase() : DEFAULT_MARKET;
+
+    if (!MARKETS[market] || !supported.includes(market)) {
+        throw new RequestError(`Unsupported market "${market}". Valid markets: ${supported.join(', ')}`, {
+            code: 'unsupported_market'
+        });
+    }
+
+    return market;
+}
+
+// Se guarda con el producto: en qué mercado y moneda están sus asks
+export function describeMarket(market) {
+    return { code: market, currency: getMarketCurrency(market) };
+}
@@ -0,0 +1,206 @@
+// Motor de precios: convierte el ask del mercado en nuestro precio de venta
+// Las reglas (data/pricing.json) se combinan de la más general a la más específica
+// por mercado, moneda y producto. Los importes de las reglas van en USD salvo el
+// redondeo, que se hace en la moneda del cliente para que el precio quede "bonito".
+// Los asks llegan en la moneda de su mercado y se pasan a USD antes de aplicar reglas.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { RequestError } from './errors.js';
+import { getExchangeRates, SUPPORTED_CURRENCIES } from './rates.js';
+import { getMarketCurrency } from './markets.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'pricing' });
+
+const SUPPORTED_VERSIONS = [1];
+const SELECTORS = ['market', 'currency', 'productId'];
+const MARGIN_TYPES = ['percent', 'fixed'];
+
+export function getPricingPath() {
+    return process.env.PRICING_FILE || path.join(process.cwd(), 'data', 'pricing.json');
+}
+
+function isValidRule(rule) {
+    if (!rule || typeof rule !== 'object') return false;
+    if (rule.margin && (!MARGIN_TYPES.includes(rule.margin.type) || !Number.isFinite(rule.margin.value))) return false;
+    if (rule.rounding && !(rule.rounding.step > 0)) return false;
+    return true;
+}
+
+// Lee y valida las reglas; una regla inválida se descarta con aviso, como en el catálogo
+export function loadPricingRules(filePath = getPricingPath()) {
+    const raw = JSON.parse(readFileSync(filePath, 'utf8'));
+
+    if (!SUPPORTED_VERSIONS.includes(raw.version)) {
+        throw new Error(`Unsupported pricing version: ${raw.version}`);
+    }
+
+    if (!Array.isArray(raw.rules)) {
+        throw new Error('Pricing must include a "rules" array');
+    }
+
+    const rules = [];
+    raw.rules.forEach((rule, index) => {
+        if (!isValidRule(rule)) {
+            log.warn('invalid pricing rule skipped', { index });
+            return;
+        }
+        rules.push({ ...rule, index });
+    });
+
+    return { version: raw.version, updatedAt: raw.updatedAt || null, rules };
+}
+
+function specificity(rule) {
+    return SELECTORS.filter(selector => rule[selector] !== undefined).length;
+}
+
+// Regla efectiva: las que coinciden, de menos a más selectores; a igual
+// especificidad manda la que está más abajo en el fichero
+export function resolveRule(pricing, target) {
+    return pricing.rules
+        .filter(rule => SELECTORS.every(selector => rule[selector] === undefined || rule[selector] === target[selector]))
+        .sort((a, b) => specificity(a) - specificity(b) || a.index - b.index)
+        .reduce((merged, rule) => ({ ...merged, ...rule }), {});
+}
+
+// Siguiente precio "bonito" >= amount: step 10 y offset -0.01 -> 169.99, 179.99...
+export function roundToPricePoint(amount, { step, offset = 0 }) {
+    const points = Math.ceil((amount - offset) / step - 1e-9);
+    return parseFloat((points * step + offset).toFixed(2));
+}
+
+function toAmount(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// ask en USD -> { item, shipping, duties, taxes, rounding, total } en USD
+// item incluye el margen: el desglose nunca deja ver el ask original.
+// rate es el tipo USD -> moneda del cliente, sólo para el redondeo.
+export function priceFromAsk(ask, rule, rate = 1) {
+    if (!(ask > 0)) return null;
+
+    const margin = rule.margin || { type: 'percent', value: 0 };
+    const item = margin.type === 'fixed' ? ask + margin.value : ask * (1 + margin.value / 100);
+    const shipping = rule.shipping || 0;
+
+    // Aranceles e impuestos sobre el valor CIF, salvo envíos por debajo del mínimo exento
+    const customsValue = item + shipping;
+    const taxable = customsValue > (rule.deMinimis || 0);
+    const duties = taxable ? customsValue * ((rule.duties && rule.duties.rate) || 0) : 0;
+    const taxes = taxable ? (customsValue + duties) * ((rule.taxes && rule.taxes.rate) || 0) : 0;
+
+    const subtotal = item + shipping + duties + taxes;
+    const total = rule.rounding ? roundToPricePoint(subtotal * rate, rule.rounding) / rate : subtotal;
+
+    return {
+        item: toAmount(item),
+        shipping: toAmount(shipping),
+        duties: toAmount(duties),
+        taxes: toAmount(taxes),
+        rounding: toAmount(total - subtotal),
+        total: toAmount(total)
+    };
+}
+
+// El ask más bajo es información interna: sólo se publican asks y ventas
+function publicMarketData(marketData) {
+    if (!marketData) return null;
+
+    return {
+        total_asks: marketData.total_asks,
+        sales_15_days: marketData.sales_15_days,
+        sales_30_days: marketData.sales_30_days,
+        sales_60_days: marketData.sales_60_days
+    };
+}
+
+// Reglas + tipos de cambio para una petición; la moneda decide aranceles y redondeo.
+// Sólo se consultan tasas si el mercado o el cliente no usan USD.
+export async function createPricingContext({ market = 'US', currency = 'USD' } = {}) {
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        throw new RequestError(`Unsupported currency "${currency}". Valid currencies: ${SUPPORTED_CURRENCIES.join(', ')}`, {
+            code: 'unsupported_currency'
+        });
+    }
+
+    const needsRates = currency !== 'USD' || getMarketCurrency(market) !== 'USD';
+    const rates = needsRates ? (await getExchangeRates()).rates : { USD: 1 };
+    return { pricing: loadPricingRules(), market, currency, rates };
+}
+
+export function getRuleFor(context, productId) {
+    return resolveRule(context.pricing, { market: context.market, currency: context.currency, productId });
+}
+
+// Ask en la moneda de su mercado -> precio de venta (ver priceFromAsk)
+export function quoteAsk(ask, rule, context, askCurrency = 'USD') {
+    return priceFromAsk(ask / context.rates[askCurrency], rule, context.rates[context.currency]);
+}
+
+// Tipos USD -> moneda con los que se redondeó: el cliente convierte con estos y no con
+// los de la función rates, que pueden venir de otra consulta al proveedor
+export function getQuoteRates(context) {
+    return { USD: 1, [context.currency]: context.rates[context.currency] };
+}
+
+function describeContext(context) {
+    return {
+        market: context.market,
+        currency: context.currency,
+        rates: getQuoteRates(context),
+        updatedAt: context.pricing.updatedAt
+    };
+}
+
+// Producto normalizado -> mismo producto con precios de venta y desglose por talla
+// productId: el del catálogo si se conoce (la demo no trae id propio ni _market: va en USD)
+export function priceProduct(product, context, productId = product.id) {
+    const rule = getRuleFor(context, productId);
+    const askCurrency = product._market ? product._market.currency : 'USD';
+
+    const sizes = product.sizes.map(sizeData => {
+        const quote = sizeData.available ? quoteAsk(sizeData.price, rule, context, askCurrency) : null;
+        return {
+            ...sizeData,
+            price: quote ? quote.total : 0,
+            available: sizeData.available && !!quote,
+            priceBreakdown: quote,
+            marketData: publicMarketData(sizeData.marketData)
+        };
+    });
+
+    const regular = quoteAsk(product.regularPrice, rule, context, askCurrency);
+    const prices = sizes.filter(sizeData => sizeData.available).map(sizeData => sizeData.price);
+
+    return {
+        ...product,
+        regularPrice: regular ? regular.total : 0,
+        sizes,
+        ...(product._apiData ? {
+            _apiData: {
+                ...product._apiData,
+                minPrice: prices.length > 0 ? Math.min(...prices) : 0,
+                maxPrice: prices.length > 0 ? Math.max(...prices) : 0
+            }
+        } : {}),
+        _pricing: describeContext(context)
+    };
+}
+
+// Resumen de búsqueda: mismos campos, con precios de venta
+export function priceSummary(summary, context, askCurrency = 'USD') {
+    const rule = getRuleFor(context, summary.id);
+    const sellingPrice = ask => {
+        const quote = quoteAsk(ask, rule, context, askCurrency);
+        return quote ? quote.total : 0;
+    };
+
+    return {
+        ...summary,
+        regularPrice: sellingPrice(summary.regularPrice),
+        minPrice: sellingPrice(summary.minPrice),
+        maxPrice: sellingPrice(summary.maxPrice)
+    };
+}
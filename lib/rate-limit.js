@@ -0,0 +1,147 @@
+// Rate limiting con token bucket: por IP y ruta, y un presupuesto de llamadas a
+// la API de pago. El estado vive en un store con la misma interfaz que el del
+// cache (get/set). Sólo Netlify Blobs lo comparte entre instancias; con memoria o
+// ficheros cada instancia lleva su propia cuenta.
+// Con Blobs (y en memoria) cada bucket se escribe condicionado a su ETag: dos
+// peticiones simultáneas no gastan el mismo token. Con ficheros el límite es aproximado.
+
+import path from 'path';
+import { createMemoryCacheStore, createFileCacheStore, createBlobsCacheStore, readVersioned, writeIfVersion } from './cache.js';
+import { getHeader } from './request.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'rate-limit' });
+
+// Capacidad = ráfaga permitida; refillPerMinute = ritmo sostenido
+export const DEFAULT_ROUTE_LIMITS = {
+    product: { capacity: 60, refillPerMinute: 30 },
+    batch: { capacity: 10, refillPerMinute: 6 },
+    search: { capacity: 20, refillPerMinute: 10 }
+};
+
+// Llamadas a KicksDB por hora entre todos los clientes (UPSTREAM_QUOTA_PER_HOUR).
+// Es global con Blobs; con los backends locales es el límite de cada instancia.
+const UPSTREAM_QUOTA_PER_HOUR = parseInt(process.env.UPSTREAM_QUOTA_PER_HOUR, 10) || 600;
+
+// Ráfaga + recarga de una hora = cuota: en ninguna hora se pasa del presupuesto.
+// Por defecto la ráfaga es el 10% de la cuota (UPSTREAM_QUOTA_BURST)
+const UPSTREAM_QUOTA_BURST = Math.min(
+    parseInt(process.env.UPSTREAM_QUOTA_BURST, 10) || Math.max(1, Math.round(UPSTREAM_QUOTA_PER_HOUR / 10)),
+    UPSTREAM_QUOTA_PER_HOUR
+);
+
+export const UPSTREAM_QUOTA_LIMIT = {
+    capacity: UPSTREAM_QUOTA_BURST,
+    // Una cuota de una sola llamada no puede recargar menos de una por hora
+    refillPerMinute: Math.max(UPSTREAM_QUOTA_PER_HOUR - UPSTREAM_QUOTA_BURST, 1) / 60
+};
+
+// Intentos ante escrituras concurrentes del mismo bucket, con una espera aleatoria
+// creciente entre ellos para que las peticiones que chocan se separen
+const MAX_WRITE_ATTEMPTS = 10;
+const WRITE_RETRY_JITTER_MS = 10;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+let rateLimitStore = null;
+
+// RATE_LIMIT_STORE=blobs|file|memory (blobs por defecto, con memoria como respaldo),
+// RATE_LIMIT_BLOBS_STORE para el nombre del store y RATE_LIMIT_DIR para el backend de ficheros
+export function getRateLimitStore() {
+    if (!rateLimitStore) {
+        const mode = process.env.RATE_LIMIT_STORE || 'blobs';
+
+        if (mode === 'memory') {
+            rateLimitStore = createMemoryCacheStore();
+        } else if (mode === 'file') {
+            rateLimitStore = createFileCacheStore(process.env.RATE_LIMIT_DIR || path.join('/tmp', 'courts-rate-limit'));
+        } else {
+            rateLimitStore = createBlobsCacheStore(process.env.RATE_LIMIT_BLOBS_STORE || 'courts-rate-limit', createMemoryCacheStore());
+        }
+    }
+    return rateLimitStore;
+}
+
+export function setRateLimitStore(store) {
+    rateLimitStore = store;
+}
+
+export function isRateLimitEnabled() {
+    return process.env.RATE_LIMIT_ENABLED !== 'false';
+}
+
+// Devuelve { allowed, limit, remaining, retryAfter (segundos) }. Con el store caído
+// se deja pasar: el rate limit no debe tumbar el catálogo.
+export async function consumeToken(key, { capacity, refillPerMinute }, cost = 1, store = getRateLimitStore()) {
+    const refillPerMs = refillPerMinute / 60000;
+
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const now = Date.now();
+
+        let current;
+        try {
+            current = await readVersioned(store, key);
+        } catch (error) {
+            log.warn('rate limit store unavailable', { key, error });
+            return { allowed: true, limit: capacity, remaining: capacity, retryAfter: 0 };
+        }
+
+        const previous = current.entry ? current.entry.value : { tokens: capacity, updatedAt: now };
+        const tokens = Math.min(capacity, previous.tokens + (now - previous.updatedAt) * refillPerMs);
+        const allowed = tokens >= cost;
+        const nextTokens = allowed ? tokens - cost : tokens;
+        const result = {
+            allowed,
+            limit: capacity,
+            remaining: Math.floor(nextTokens),
+            retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs / 1000)
+        };
+
+        // Sin token no hay nada que gastar: la recarga se calcula igual en la próxima lectura
+        if (!allowed) return result;
+
+        try {
+            const written = await writeIfVersion(store, key, { value: { tokens: nextTokens, updatedAt: now }, storedAt: now }, current.version);
+            if (written) return result;
+        } catch (error) {
+            log.warn('rate limit write failed', { key, error });
+            return result;
+        }
+
+        log.debug('rate limit bucket changed concurrently, retrying', { key, attempt });
+        await sleep(Math.random() * WRITE_RETRY_JITTER_MS * attempt);
+    }
+
+    // Contención sostenida sobre el mismo bucket: mejor rechazar que gastar de más
+    log.warn('rate limit bucket contended', { key });
+    return { allowed: false, limit: capacity, remaining: 0, retryAfter: 1 };
+}
+
+// IP real del cliente según los headers de Netlify / proxies
+export function getClientIp(event) {
+    const netlifyIp = getHeader(event, 'x-nf-client-connection-ip');
+    if (netlifyIp) return netlifyIp;
+
+    const forwardedFor = getHeader(event, 'x-forwarded-for');
+    if (forwardedFor) return forwardedFor.split(',')[0].trim();
+
+    return 'unknown';
+}
+
+export function checkClientLimit(event, route, limits = DEFAULT_ROUTE_LIMITS) {
+    const routeLimit = limits[route];
+    if (!routeLimit || !isRateLimitEnabled()) {
+        return Promise.resolve({ allowed: true });
+    }
+    return consumeToken(`client:${route}:${getClientIp(event)}`, routeLimit);
+}
+
+// Presupuesto de llamadas a la API de pago, compartido por todos los clientes
+export function consumeUpstreamQuota() {
+    if (!isRateLimitEnabled()) {
+        return Promise.resolve({ allowed: true });
+    }
+    return consumeToken('upstream:global', UPSTREAM_QUOTA_LIMIT);
+}
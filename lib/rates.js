@@ -0,0 +1,158 @@
+// Tipos de cambio con proveedor intercambiable, cache con TTL y respaldo local
+// Si el proveedor cae se sirven las tasas de data/rates.json (o las últimas buenas)
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'rates' });
+
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CNY', 'PEN'];
+
+const RATES_TTL = (parseInt(process.env.RATES_TTL_SECONDS, 10) || 6 * 60 * 60) * 1000;
+const RATES_TIMEOUT_MS = parseInt(process.env.RATES_TIMEOUT_MS, 10) || 5000;
+// Tras un fallo del proveedor el respaldo se sirve un rato antes de volver a intentarlo
+const RATES_RETRY_AFTER = (parseInt(process.env.RATES_RETRY_SECONDS, 10) || 5 * 60) * 1000;
+
+// Cada proveedor recibe { signal } y devuelve { base, date, rates } con base USD
+const providers = {
+    // open.er-api.com: gratuito, sin key, incluye PEN
+    'open-er-api': async ({ signal }) => {
+        const response = await fetch('https://open.er-api.com/v6/latest/USD', { signal });
+        if (!response.ok) {
+            throw new Error(`Rates provider returned ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.result !== 'success') {
+            throw new Error(`Rates provider error: ${data['error-type'] || 'unknown'}`);
+        }
+
+        return {
+            base: data.base_code,
+            date: new Date(data.time_last_update_unix * 1000).toISOString().slice(0, 10),
+            rates: data.rates
+        };
+    },
+
+    // Fichero local: RATES_FIXTURE_FILE permite a los tests inyectar tasas fijas
+    fixture: async () => readRatesFile(process.env.RATES_FIXTURE_FILE)
+};
+
+let cachedRates = null;
+let cachedFallback = null; // { data, timestamp } del último respaldo servido
+
+function getBundledRatesPath() {
+    return process.env.RATES_FALLBACK_FILE || path.join(process.cwd(), 'data', 'rates.json');
+}
+
+function readRatesFile(filePath) {
+    if (!filePath) {
+        throw new Error('Rates file path is not configured');
+    }
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+}
+
+// Nos quedamos solo con las monedas soportadas; si falta alguna el proveedor no vale
+function pickSupportedRates(payload) {
+    if (!payload || payload.base !== 'USD' || !payload.rates) {
+        throw new Error('Rates payload must be based on USD');
+    }
+
+    const rates = {};
+    SUPPORTED_CURRENCIES.forEach(currency => {
+        const rate = Number(payload.rates[currency]);
+        if (!Number.isFinite(rate) || rate <= 0) {
+            throw new Error(`Missing rate for ${currency}`);
+        }
+        rates[currency] = rate;
+    });
+
+    return rates;
+}
+
+export function registerRatesProvider(name, provider) {
+    providers[name] = provider;
+}
+
+export function clearRatesCache() {
+    cachedRates = null;
+    cachedFallback = null;
+}
+
+// AbortController corta al proveedor si no responde a tiempo
+async function callProvider(provider) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), RATES_TIMEOUT_MS);
+
+    try {
+        return await provider({ signal: controller.signal });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            throw new Error(`Rates provider timed out after ${RATES_TIMEOUT_MS}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+export function getProviderName() {
+    if (process.env.RATES_FIXTURE_FILE) return 'fixture';
+    return process.env.RATES_PROVIDER || 'open-er-api';
+}
+
+// Devuelve { base, date, fetchedAt, source, stale, rates }
+export async function getExchangeRates() {
+    if (cachedRates && Date.now() - cachedRates.timestamp < RATES_TTL) {
+        return cachedRates.data;
+    }
+
+    if (cachedFallback && Date.now() - cachedFallback.timestamp < RATES_RETRY_AFTER) {
+        return cachedFallback.data;
+    }
+
+    const providerName = getProviderName();
+    const provider = providers[providerName];
+
+    try {
+        if (!provider) {
+            throw new Error(`Unknown rates provider: ${providerName}`);
+        }
+
+        const payload = await callProvider(provider);
+        const data = {
+            base: 'USD',
+            date: payload.date,
+            fetchedAt: new Date().toISOString(),
+            source: providerName,
+            stale: false,
+            rates: pickSupportedRates(payload)
+        };
+
+        cachedRates = { data, timestamp: Date.now() };
+        cachedFallback = null;
+        return data;
+    } catch (error) {
+        log.warn('rates provider unavailable', { provider: providerName, error });
+
+        // Preferimos las últimas tasas buenas del proveedor antes que el fichero local
+        let fallback;
+        if (cachedRates) {
+            fallback = { ...cachedRates.data, stale: true };
+        } else {
+            const bundled = readRatesFile(getBundledRatesPath());
+            fallback = {
+                base: 'USD',
+                date: bundled.date,
+                fetchedAt: new Date().toISOString(),
+                source: 'bundled',
+                stale: true,
+                rates: pickSupportedRates(bundled)
+            };
+        }
+
+        cachedFallback = { data: fallback, timestamp: Date.now() };
+        return fallback;
+    }
+}
@@ -0,0 +1,64 @@
+// Lectura de parámetros y body de los eventos de Netlify
+
+import { RequestError } from './errors.js';
+
+export function getQueryParams(event) {
+    return event.queryStringParameters || {};
+}
+
+// Netlify entrega los headers en minúsculas, pero no dependemos de ello
+export function getHeader(event, name) {
+    const headers = event.headers || {};
+    const wanted = name.toLowerCase();
+    const key = Object.keys(headers).find(header => header.toLowerCase() === wanted);
+    return key ? headers[key] : undefined;
+}
+
+// El body tiene que ser un objeto JSON: null, arrays o escalares también son inválidos
+export function parseJsonBody(event) {
+    let payload;
+    try {
+        const rawBody = event.isBase64Encoded
+            ? Buffer.from(event.body || '', 'base64').toString('utf8')
+            : event.body;
+        payload = JSON.parse(rawBody || '{}');
+    } catch (error) {
+        throw new RequestError('Invalid JSON body', { code: 'invalid_json' });
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new RequestError('JSON body must be an object', { code: 'invalid_json' });
+    }
+
+    return payload;
+}
+
+// Limpia, deduplica y valida una lista de IDs (query "a,b,c" o array del body)
+export function parseIdList(rawIds, maxIds) {
+    if (!Array.isArray(rawIds)) {
+        throw new RequestError('Body must include an "ids" array', { code: 'missing_ids' });
+    }
+
+    const ids = [...new Set(
+        rawIds
+            .map(rawId => (typeof rawId === 'string' ? rawId.trim() : ''))
+            .filter(Boolean)
+    )];
+
+    if (ids.length === 0) {
+        throw new RequestError('At least one ID is required', { code: 'missing_ids' });
+    }
+
+    if (ids.length > maxIds) {
+        throw new RequestError(`A batch accepts at most ${maxIds} IDs`, { code: 'too_many_ids', maxIds });
+    }
+
+    return ids;
+}
+
+export function parsePagination(rawPage, rawLimit, { defaultLimit, maxLimit }) {
+    return {
+        page: Math.max(1, parseInt(rawPage, 10) || 1),
+        limit: Math.min(maxLimit, Math.max(1, parseInt(rawLimit, 10) || defaultLimit))
+    };
+}
@@ -0,0 +1,142 @@
+// Modelo de tallas: categoría (hombre/mujer/youth/niño) y conversión US -> UK/EU/CM
+// Las tablas por marca viven en data/size-charts.json
+
+import { readFileSync } from 'fs';
+import path from 'path';
+
+export const SIZE_SYSTEMS = ['US', 'UK', 'EU', 'CM'];
+
+// Sufijos de StockX: 10.5W (mujer), 5Y / 5GS (youth), 10C / 10PS / 4TD (niño)
+const CATEGORY_SUFFIXES = {
+    '': null,
+    M: 'men',
+    W: 'women',
+    Y: 'youth',
+    GS: 'youth',
+    C: 'child',
+    PS: 'child',
+    TD: 'child',
+    K: 'child'
+};
+
+// Género de producto en StockX -> categoría por defecto si la talla no trae sufijo
+const GENDER_CATEGORIES = {
+    men: 'men',
+    women: 'women',
+    youth: 'youth',
+    child: 'child',
+    preschool: 'child',
+    toddler: 'child',
+    infant: 'child',
+    unisex: 'men'
+};
+
+// Orden de los grupos en la lista de tallas
+const CATEGORY_RANK = { child: 0, youth: 1, men: 2, women: 3 };
+
+// Etiqueta US por categoría (el sufijo que entiende el cliente)
+const US_LABEL_SUFFIX = { men: '', women: 'W', youth: 'Y', child: 'C' };
+
+// Las tallas de niño conservan el sufijo de StockX: 4TD (toddler) no es la misma talla que 4C
+const CHILD_LABEL_SUFFIXES = ['C', 'PS', 'TD', 'K'];
+
+const SIZE_PATTERN = /^(?:US\s*)?(?:([MW])\s*)?(\d+(?:\.\d+)?)\s*(GS|PS|TD|[MWYCK])?$/i;
+
+let sizeCharts = null;
+
+function getSizeChartsPath() {
+    return process.env.SIZE_CHARTS_FILE || path.join(process.cwd(), 'data', 'size-charts.json');
+}
+
+function loadSizeCharts() {
+    if (!sizeCharts) {
+        sizeCharts = JSON.parse(readFileSync(getSizeChartsPath(), 'utf8'));
+    }
+    return sizeCharts;
+}
+
+// Marca del producto -> tabla (las marcas sin tabla propia usan "default")
+export function resolveChartName(brand) {
+    const charts = loadSizeCharts();
+    const normalizedBrand = (brand || '').toLowerCase();
+
+    const match = Object.entries(charts.brands).find(([, aliases]) =>
+        aliases.some(alias => normalizedBrand.includes(alias))
+    );
+
+    return match ? match[0] : 'default';
+}
+
+// "10.5W" -> { value: 10.5, category: 'women', suffix: 'W' }; null si no es una talla numérica
+export function parseSize(rawSize, defaultCategory = 'men') {
+    const match = SIZE_PATTERN.exec(String(rawSize || '').trim());
+    if (!match) return null;
+
+    const [, prefix, value, suffix] = match;
+    const marker = (suffix || prefix || '').toUpperCase();
+
+    return {
+        value: parseFloat(value),
+        category: CATEGORY_SUFFIXES[marker] || defaultCategory,
+        suffix: marker
+    };
+}
+
+// Busca la fila exacta o interpola entre las dos más cercanas de la tabla
+function lookupRow(rows, usValue) {
+    const exact = rows.find(row => row[0] === usValue);
+    if (exact) return exact;
+
+    const upperIndex = rows.findIndex(row => row[0] > usValue);
+    if (upperIndex <= 0) return null;
+
+    const lower = rows[upperIndex - 1];
+    const upper = rows[upperIndex];
+    const ratio = (usValue - lower[0]) / (upper[0] - lower[0]);
+
+    return lower.map((value, index) => value + (upper[index] - value) * ratio);
+}
+
+function roundToHalf(value) {
+    return Math.round(value * 2) / 2;
+}
+
+// Las tablas EU de adidas van en tercios: 40.67 -> "40 2/3"
+function formatEu(eu) {
+    const whole = Math.floor(eu);
+    const fraction = eu - whole;
+
+    if (Math.abs(fraction - 1 / 3) < 0.05) return `${whole} 1/3`;
+    if (Math.abs(fraction - 2 / 3) < 0.05) return `${whole} 2/3`;
+    return String(roundToHalf(eu));
+}
+
+// Describe una talla StockX con su categoría y equivalencias.
+// Devuelve null para tallas que no se pueden convertir (p. ej. "OS").
+export function describeSize(rawSize, { brand, gender } = {}) {
+    const defaultCategory = GENDER_CATEGORIES[(gender || '').toLowerCase()] || 'men';
+    const parsed = parseSize(rawSize, defaultCategory);
+    if (!parsed) return null;
+
+    const charts = loadSizeCharts();
+    const chartName = resolveChartName(brand);
+    const chart = charts.charts[chartName] || charts.charts.default;
+    const row = lookupRow(chart[parsed.category] || [], parsed.value);
+
+    const usSuffix = parsed.category === 'child' && CHILD_LABEL_SUFFIXES.includes(parsed.suffix)
+        ? parsed.suffix
+        : US_LABEL_SUFFIX[parsed.category];
+
+    return {
+        us: parsed.value,
+        category: parsed.category,
+        chart: chartName,
+        sortKey: CATEGORY_RANK[parsed.category] * 100 + parsed.value,
+        labels: {
+            US: `US ${parsed.value}${usSuffix}`,
+            UK: row ? `UK ${roundToHalf(row[1])}` : null,
+            EU: row ? `EU ${formatEu(row[2])}` : null,
+            CM: row ? `${roundToHalf(row[3])} cm` : null
+        }
+    };
+}
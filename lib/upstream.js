@@ -0,0 +1,365 @@
+// Cliente de la API de KicksDB compartido por todas las funciones
+//
+// KICKSDB_UPSTREAM_MODE elige de dónde salen las respuestas:
+//   live   (por defecto) llama a la API
+//   record llama a la API y guarda cada respuesta como fixture
+//   replay sólo sirve fixtures guardados, sin red ni API key
+// Los fixtures van en KICKSDB_FIXTURES_DIR (por defecto fixtures/upstream)
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { UpstreamError } from './errors.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import { consumeUpstreamQuota } from './rate-limit.js';
+import { createLogger, recordUpstreamAttempt } from './logger.js';
+
+const log = createLogger({ module: 'upstream' });
+
+export const UPSTREAM_MODES = ['live', 'record', 'replay'];
+
+export function getUpstreamMode() {
+    const mode = (process.env.KICKSDB_UPSTREAM_MODE || 'live').toLowerCase();
+    if (!UPSTREAM_MODES.includes(mode)) {
+        log.warn('unknown KICKSDB_UPSTREAM_MODE, using live', { mode });
+        return 'live';
+    }
+    return mode;
+}
+
+export function isReplayMode() {
+    return getUpstreamMode() === 'replay';
+}
+
+export function getFixturesDir() {
+    return process.env.KICKSDB_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'upstream');
+}
+
+// Nombre legible a partir de la ruta + hash de la URL completa para evitar colisiones
+export function getFixturePath(url) {
+    const { host, pathname, search } = new URL(url);
+    const readable = `${host}${pathname}${search}`
+        .replace(/[^a-zA-Z0-9._-]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 120);
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 10);
+    return path.join(getFixturesDir(), `${readable}-${hash}.json`);
+}
+
+// Un intento con timeout: AbortController corta la petición si la API no responde
+async function fetchUpstream(url, { apiKey, userAgent }, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'X-API-Key': apiKey,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'User-Agent': userAgent
+            },
+            signal: controller.signal
+        });
+
+        const text = await response.text().catch(() => '');
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            ok: response.ok,
+            text,
+            retryAfter: response.headers.get('retry-after')
+        };
+    } catch (error) {
+        if (controller.signal.aborted) {
+            throw new UpstreamError(`KicksDB API timed out after ${timeoutMs}ms`, { url, timeout: true });
+        }
+        throw new UpstreamError(`KicksDB API request failed: ${error.message}`, { url });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Se guardan también las respuestas de error para poder reproducirlas; nunca los headers (API key)
+async function saveFixture(url, response) {
+    const fixturePath = getFixturePath(url);
+    const fixture = {
+        url,
+        recordedAt: new Date().toISOString(),
+        status: response.status,
+        statusText: response.statusText,
+        retryAfter: response.retryAfter || null,
+        body: response.text
+    };
+
+    try {
+        await fs.promises.mkdir(path.dirname(fixturePath), { recursive: true });
+        await fs.promises.writeFile(fixturePath, JSON.stringify(fixture, null, 2) + '\n');
+        log.info('fixture recorded', { fixture: path.basename(fixturePath) });
+    } catch (error) {
+        // Grabar es best-effort: la respuesta real se sigue devolviendo
+        log.warn('fixture recording failed', { error });
+    }
+}
+
+async function loadFixture(url) {
+    const fixturePath = getFixturePath(url);
+    let fixture;
+    try {
+        fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+        throw new UpstreamError(`No fixture recorded for ${url}`, { url, fixture: path.basename(fixturePath) });
+    }
+
+    log.debug('fixture replayed', { fixture: path.basename(fixturePath), recordedAt: fixture.recordedAt });
+    return {
+        status: fixture.status,
+        statusText: fixture.statusText,
+        ok: fixture.status >= 200 && fixture.status < 300,
+        text: fixture.body,
+        retryAfter: fixture.retryAfter || null
+    };
+}
+
+// Reintentos, timeouts y circuit breaker
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 8000;
+const DEFAULT_MAX_RETRIES = 2;
+// 0 desactiva los reintentos; con || un 0 explícito volvería al valor por defecto
+const UPSTREAM_MAX_RETRIES = parseRetries(process.env.UPSTREAM_MAX_RETRIES);
+// Netlify corta las funciones a los 10s: todos los intentos de una petición caben en este presupuesto
+const UPSTREAM_BUDGET_MS = parseInt(process.env.UPSTREAM_BUDGET_MS, 10) || 9000;
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 4000;
+// 408/429 y 5xx son transitorios; el resto de 4xx es una respuesta definitiva de una API sana
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+function parseRetries(value) {
+    if (value === undefined || value === '') return DEFAULT_MAX_RETRIES;
+
+    const retries = Number(value);
+    if (!Number.isInteger(retries) || retries < 0) {
+        log.warn('invalid UPSTREAM_MAX_RETRIES, using default', { value, retries: DEFAULT_MAX_RETRIES });
+        return DEFAULT_MAX_RETRIES;
+    }
+    return retries;
+}
+
+const circuitBreaker = createCircuitBreaker({
+    name: 'kicksdb',
+    failureThreshold: parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD, 10) || 5,
+    cooldownMs: parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN_MS, 10) || 30 * 1000
+});
+
+// Métricas acumuladas por instancia de la función
+const metrics = {
+    attempts: 0,
+    successes: 0,
+    failures: 0,
+    retries: 0,
+    timeouts: 0,
+    rateLimited: 0,
+    shortCircuited: 0,
+    quotaRejected: 0,
+    totalLatencyMs: 0
+};
+
+export function getUpstreamMetrics() {
+    return {
+        ...metrics,
+        averageLatencyMs: metrics.attempts > 0 ? Math.round(metrics.totalLatencyMs / metrics.attempts) : 0,
+        circuit: circuitBreaker.getState()
+    };
+}
+
+function recordAttempt({ url, attempt, response, error, durationMs }) {
+    metrics.attempts++;
+    metrics.totalLatencyMs += durationMs;
+
+    let outcome = 'ok';
+    if (error) {
+        outcome = error.details.timeout ? 'timeout' : 'network_error';
+    } else if (response.status === 429) {
+        outcome = 'rate_limited';
+    } else if (!response.ok) {
+        outcome = 'http_error';
+    }
+
+    if (outcome === 'ok') metrics.successes++;
+    else metrics.failures++;
+    if (outcome === 'timeout') metrics.timeouts++;
+    if (outcome === 'rate_limited') metrics.rateLimited++;
+
+    recordUpstreamAttempt(durationMs);
+    log[outcome === 'ok' ? 'debug' : 'warn']('upstream attempt', {
+        url,
+        attempt,
+        outcome,
+        status: response ? response.status : null,
+        durationMs
+    });
+}
+
+// Retry-After llega en segundos o como fecha HTTP
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Backoff exponencial con jitter completo: evita que todas las instancias reintenten a la vez
+function backoffDelay(attempt) {
+    return Math.round(Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1)));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseResponse(url, response) {
+    const responseText = response.text;
+
+    if (!response.ok) {
+        // Sólo el inicio del cuerpo: las respuestas de la API pueden ser enormes
+        log.debug('upstream error body', {
+            url,
+            status: response.status,
+            body: responseText.substring(0, 200)
+        });
+        throw new UpstreamError(`KicksDB API returned ${response.status}: ${response.statusText}`, { url, status: response.status });
+    }
+
+    try {
+        return JSON.parse(responseText);
+    } catch (error) {
+        throw new UpstreamError('KicksDB API returned a non-JSON response', { url });
+    }
+}
+
+// GET autenticado con timeout y reintentos; lanza UpstreamError si la respuesta
+// final no es 2xx o no es JSON, o si el circuito está abierto.
+// options.deadline (epoch ms) limita el tiempo total; options.retries sobrescribe el máximo.
+export async function requestJson(url, options = {}) {
+    const mode = getUpstreamMode();
+
+    if (mode === 'replay') {
+        return parseResponse(url, await loadFixture(url));
+    }
+
+    if (!circuitBreaker.canRequest()) {
+        metrics.shortCircuited++;
+        const { retryIn } = circuitBreaker.getState();
+        log.warn('upstream skipped, circuit open', { url, retryInMs: retryIn });
+        throw new UpstreamError('KicksDB API circuit open - skipping request', { url, circuitOpen: true, retryIn });
+    }
+
+    // Con el circuito semiabierto esta petición es la única prueba permitida
+    const isTrial = circuitBreaker.getState().state === 'half-open';
+    const deadline = options.deadline || Date.now() + UPSTREAM_BUDGET_MS;
+    const maxRetries = options.retries ?? UPSTREAM_MAX_RETRIES;
+
+    for (let attempt = 1; ; attempt++) {
+        // Cada intento es una llamada facturada: se descuenta del presupuesto de la API
+        const quota = await consumeUpstreamQuota();
+        if (!quota.allowed) {
+            metrics.quotaRejected++;
+            if (isTrial) circuitBreaker.releaseTrial();
+            log.warn('upstream skipped, quota exhausted', { url, retryAfterSeconds: quota.retryAfter });
+            throw new UpstreamError('KicksDB API quota exhausted - skipping request', {
+                code: 'upstream_quota_exhausted',
+                url,
+                quotaExhausted: true,
+                retryAfter: quota.retryAfter
+            });
+        }
+
+        const startedAt = Date.now();
+        const timeoutMs = Math.max(1, Math.min(UPSTREAM_TIMEOUT_MS, deadline - startedAt));
+        let response = null;
+        let error = null;
+
+        try {
+            response = await fetchUpstream(url, options, timeoutMs);
+        } catch (fetchError) {
+            error = fetchError;
+        }
+
+        recordAttempt({ url, attempt, response, error, durationMs: Date.now() - startedAt });
+
+        if (response && mode === 'record') {
+            await saveFixture(url, response);
+        }
+
+        if (response && !RETRYABLE_STATUS.includes(response.status)) {
+            circuitBreaker.recordSuccess();
+            return parseResponse(url, response);
+        }
+
+        const retryAfter = response ? parseRetryAfter(response.retryAfter) : null;
+        const delay = retryAfter ?? backoffDelay(attempt);
+
+        if (attempt > maxRetries || Date.now() + delay >= deadline) {
+            circuitBreaker.recordFailure();
+            if (error) throw error;
+            return parseResponse(url, response);
+        }
+
+        metrics.retries++;
+        log.info('upstream retry scheduled', { url, attempt, delayMs: delay, retryAfter: retryAfter !== null });
+        await sleep(delay);
+    }
+}
+
+// Prueba los endpoints en orden y devuelve el primero que responda JSON válido.
+// Todos comparten el mismo presupuesto de tiempo; con el circuito abierto no se sigue probando.
+export async function requestFirstJson(urls, options) {
+    const deadline = Date.now() + UPSTREAM_BUDGET_MS;
+    let lastError = null;
+    let endpointsTried = 0;
+    let notFoundCount = 0;
+
+    for (const url of urls) {
+        if (Date.now() >= deadline) break;
+
+        try {
+            endpointsTried++;
+            const data = await requestJson(url, { ...options, deadline });
+            return { data, url };
+        } catch (error) {
+            log.debug('upstream endpoint failed', { url, error: error.message });
+            lastError = error;
+            if (error.details.status === 404) notFoundCount++;
+            if (error.details.circuitOpen || error.details.quotaExhausted) break;
+        }
+    }
+
+    throw new UpstreamError(lastError ? lastError.message : 'No endpoints to try', {
+        code: lastError ? lastError.code : undefined,
+        endpointsTried,
+        circuitOpen: !!(lastError && lastError.details.circuitOpen),
+        // Todos los endpoints probados respondieron 404: la API está sana y el producto no existe
+        notFound: endpointsTried > 0 && notFoundCount === endpointsTried
+    });
+}
+
+// Ejecuta fn sobre items con como máximo `limit` promesas activas a la vez
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
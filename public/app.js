@@ -1,27 +1,37 @@
 // COURTS Sneaker Catalog App - StockX Integration
 // Muestra todas las tallas, pero solo habilita las disponibles
 
-// Product Configuration - SOLO IDs (nombres se obtienen de la API)
-const PRODUCTS = [
-    {
-        id: 'f1938d29-48da-47eb-a5f8-619a2d8443ca'
-    },
-    {
-        id: 'dbb27df3-bb6e-4a7a-ba38-1bbb5f5a022a'
-    },
-    {
-        id: '297427c6-73bd-414f-9535-e5739c0ed93f' // ID REAL del JSON (no el incorrecto)
-    }
-];
+// Product Configuration - se carga desde la función catalog (data/catalog.json)
+let PRODUCTS = [];
 
 // Global State
 let __PRODUCT_CACHE = {};
-let __CURRENCY = 'USD';
+let __PRODUCT_ETAGS = {}; // ETag de la última versión recibida de cada producto
+let __CURRENCY = localStorage.getItem('courts-currency') || 'USD'; // Moneda en la que se muestran los precios
+let __MARKET = localStorage.getItem('courts-market') || 'US'; // Mercado regional de StockX del que salen los asks
 let __SELECTED_PRODUCT_SKU = null;
 let __SELECTED_SIZE = null;
+let __SIZE_SYSTEM = Profile.get().sizeSystem;
+let __ORDER = null;
+let __SEARCH = { query: '', page: 1, hasMore: false, data: null };
 
-// Exchange Rates
-const EXCHANGE = {
+const SEARCH_PAGE_SIZE = 12;
+const SEARCH_FALLBACK_IMAGE = 'https://images.unsplash.com/photo-1542291026-7eec264c27ff?w=700&h=500&fit=crop';
+
+// Órdenes del catálogo; sin orden se respeta el sortOrder de data/catalog.json.
+// Array.sort es estable: en caso de empate se mantiene el orden del catálogo
+const CATALOG_SORTS = {
+    price: (a, b) => getSortablePrice(a.data) - getSortablePrice(b.data),
+    sizes: (a, b) => countAvailableSizes(b.data) - countAvailableSizes(a.data),
+    updated: (a, b) => new Date(b.data.lastUpdated) - new Date(a.data.lastUpdated),
+    orders: (a, b) => getWeeklyOrders(b.data) - getWeeklyOrders(a.data)
+};
+
+let __FILTERS = readFiltersFromQuery({}); // Filtros y orden del catálogo (van en la URL de la portada)
+
+// Exchange Rates - valores de arranque; loadExchangeRates() los reemplaza con la función rates
+let __RATES_DATE = null;
+let EXCHANGE = {
     USD: 1,
     EUR: 0.92,
     GBP: 0.79,
@@ -30,57 +40,211 @@ const EXCHANGE = {
     PEN: 3.72
 };
 
-// Currency Symbols
-const CURRENCY_SYMBOLS = {
-    USD: '$',
-    EUR: '€',
-    GBP: '£',
-    JPY: '¥',
-    CNY: '¥',
-    PEN: 'S/'
+// Categorías de talla con etiqueta propia (el sistema US ya lleva sufijo W/Y/C);
+// los textos están en locales/<idioma>.js como size_category.<categoría>
+const SIZE_CATEGORIES = ['women', 'youth', 'child'];
+
+// Motivos por los que la función sirve datos de demostración (demo.reason.<motivo>)
+const DEMO_REASONS = ['no_api_key', 'upstream_error', 'not_found'];
+
+// Mercados regionales disponibles (lib/markets.js); nombre traducido en market.<código>
+const MARKETS = ['US', 'GB', 'DE', 'FR', 'JP'];
+
+// Reglas por moneda. Decimales y posición del símbolo los decide Intl según el idioma;
+// symbol sustituye al de CLDR y reference muestra además el precio en otra moneda
+const CURRENCY_RULES = {
+    USD: {},
+    EUR: {},
+    GBP: {},
+    JPY: {},
+    CNY: {},
+    PEN: { symbol: 'S/', reference: 'USD' } // CLDR sólo usa "S/" en es-PE; en el resto escribe "PEN"
 };
 
+const __CURRENCY_FORMATS = {}; // Intl.NumberFormat por idioma y moneda
+
 // DOM Elements
 const elements = {
     homeView: document.getElementById('view-home'),
     detailView: document.getElementById('view-detail'),
+    notFoundView: document.getElementById('view-not-found'),
+    notFoundMessage: document.getElementById('not-found-message'),
+    notFoundHomeBtn: document.getElementById('not-found-home-btn'),
+    languageSelect: document.getElementById('language-select'),
     currencySelect: document.getElementById('currency-select'),
+    marketSelect: document.getElementById('market-select'),
+    ratesUpdated: document.getElementById('rates-updated'),
     refreshBtn: document.getElementById('refresh-btn'),
     backBtn: document.getElementById('back-btn'),
     homeBtn: document.getElementById('home-btn'),
     homeNavBtn: document.getElementById('home-nav-btn'),
     productGrid: document.getElementById('product-grid'),
+    catalogToolbar: document.getElementById('catalog-toolbar'),
+    filterMinPrice: document.getElementById('filter-min-price'),
+    filterMaxPrice: document.getElementById('filter-max-price'),
+    filterInStock: document.getElementById('filter-in-stock'),
+    filterSize: document.getElementById('filter-size'),
+    filterBrand: document.getElementById('filter-brand'),
+    filterCollection: document.getElementById('filter-collection'),
+    sortSelect: document.getElementById('sort-select'),
+    profileSize: document.getElementById('profile-size'),
+    profileSizeSystem: document.getElementById('profile-size-system'),
+    filterClearBtn: document.getElementById('filter-clear-btn'),
+    catalogCount: document.getElementById('catalog-count'),
+    searchForm: document.getElementById('search-form'),
+    searchInput: document.getElementById('search-input'),
+    searchClearBtn: document.getElementById('search-clear-btn'),
+    searchResults: document.getElementById('search-results'),
+    searchResultsTitle: document.getElementById('search-results-title'),
+    searchGrid: document.getElementById('search-grid'),
+    searchPrevBtn: document.getElementById('search-prev-btn'),
+    searchNextBtn: document.getElementById('search-next-btn'),
+    searchPage: document.getElementById('search-page'),
     detailImage: document.getElementById('detail-image'),
     detailTitle: document.getElementById('detail-title'),
     detailPrice: document.getElementById('detail-price'),
+    detailPriceReference: document.getElementById('detail-price-reference'),
+    priceBreakdown: document.getElementById('price-breakdown'),
     sizesContainer: document.getElementById('sizes-container'),
+    sizeSystemSelect: document.getElementById('size-system-select'),
+    historySection: document.getElementById('history-section'),
+    historyChart: document.getElementById('price-history-chart'),
     quantityInput: document.getElementById('quantity-input'),
     addToCartBtn: document.getElementById('add-to-cart-btn'),
+    watchForm: document.getElementById('watch-form'),
+    watchSizeSelect: document.getElementById('watch-size-select'),
+    watchPriceInput: document.getElementById('watch-price-input'),
+    watchRestockInput: document.getElementById('watch-restock-input'),
+    watchList: document.getElementById('watch-list'),
     lastUpdatedTime: document.getElementById('last-updated-time'),
     productSku: document.getElementById('product-sku'),
     imageBadge: document.getElementById('image-badge'),
+    demoNotice: document.getElementById('demo-notice'),
     status: document.getElementById('status'),
     loadingOverlay: document.getElementById('loading-overlay'),
-    toastContainer: document.getElementById('toast-container')
+    toastContainer: document.getElementById('toast-container'),
+    cartBtn: document.getElementById('cart-btn'),
+    cartCount: document.getElementById('cart-count'),
+    cartDrawer: document.getElementById('cart-drawer'),
+    cartBackdrop: document.getElementById('cart-backdrop'),
+    cartCloseBtn: document.getElementById('cart-close-btn'),
+    cartLines: document.getElementById('cart-lines'),
+    cartSubtotal: document.getElementById('cart-subtotal'),
+    cartClearBtn: document.getElementById('cart-clear-btn'),
+    checkoutBtn: document.getElementById('checkout-btn'),
+    checkoutModal: document.getElementById('checkout-modal'),
+    checkoutCloseBtn: document.getElementById('checkout-close-btn'),
+    receipt: document.getElementById('receipt')
 };
 
 // Utility Functions
-function formatPrice(price, currency = __CURRENCY) {
-    if (price === 0 || price === null || price === undefined) return 'No disponible';
-    
-    const convertedPrice = price * EXCHANGE[currency];
-    const symbol = CURRENCY_SYMBOLS[currency];
-    
-    if (currency === 'JPY' || currency === 'CNY') {
-        return `${symbol}${Math.round(convertedPrice).toLocaleString()}`;
+// currencyDisplay 'symbol' ya distingue JP¥/CN¥ o US$/$ cuando el idioma lo necesita
+function getCurrencyFormat(currency) {
+    const key = `${I18n.getLocaleTag()}:${currency}`;
+    if (!__CURRENCY_FORMATS[key]) {
+        __CURRENCY_FORMATS[key] = new Intl.NumberFormat(I18n.getLocaleTag(), {
+            style: 'currency',
+            currency,
+            currencyDisplay: 'symbol'
+        });
     }
+    return __CURRENCY_FORMATS[key];
+}
+
+// Decimales oficiales de la moneda (ISO 4217): 0 para JPY, 2 para el resto
+function getMinorUnits(currency) {
+    return getCurrencyFormat(currency).resolvedOptions().maximumFractionDigits;
+}
+
+function roundForCurrency(amount, currency) {
+    const factor = 10 ** getMinorUnits(currency);
+    return Math.round(amount * factor) / factor;
+}
+
+// Importe ya convertido -> texto con el símbolo en la posición que usa el idioma
+function formatMoney(amount, currency = __CURRENCY) {
+    const rule = CURRENCY_RULES[currency] || {};
+    return getCurrencyFormat(currency)
+        .formatToParts(amount)
+        .map(part => (part.type === 'currency' && rule.symbol ? rule.symbol : part.value))
+        .join('');
+}
+
+function getCurrencySymbol(currency) {
+    const rule = CURRENCY_RULES[currency] || {};
+    const part = getCurrencyFormat(currency).formatToParts(0).find(item => item.type === 'currency');
+    return rule.symbol || (part ? part.value : currency);
+}
+
+// Tipos con los que el servidor redondeó los precios de data (_pricing.rates);
+// convertir con otros deshace el precio "bonito" (169.99 -> 170.02)
+function getQuoteRates(data) {
+    const quoteRates = data && data._pricing && data._pricing.rates;
+    return quoteRates ? { ...EXCHANGE, ...quoteRates } : EXCHANGE;
+}
+
+// Los precios del lote pasan a ser la referencia del carrito, avisos y filtros
+function adoptQuoteRates(quoteRates) {
+    if (quoteRates) {
+        EXCHANGE = { ...EXCHANGE, ...quoteRates };
+    }
+}
+
+// Precio en USD -> importe numérico en la moneda indicada
+function convertPrice(price, currency = __CURRENCY, rates = EXCHANGE) {
+    return roundForCurrency(price * rates[currency], currency);
+}
+
+// Importe que vio el cliente, en la moneda con la que el servidor calculó data.
+// Envío, aranceles y redondeo dependen de esa moneda: el carrito y los avisos
+// sólo comparan importes de la misma
+function getQuotedPrice(price, data) {
+    const currency = data && data._pricing ? data._pricing.currency : 'USD';
+    return { currency, amount: convertPrice(price, currency, getQuoteRates(data)) };
+}
+
+function formatPrice(price, currency = __CURRENCY, rates = EXCHANGE) {
+    if (price === 0 || price === null || price === undefined) return I18n.t('price.unavailable');
+    
+    return formatMoney(convertPrice(price, currency, rates), currency);
+}
+
+// Precio de referencia en la moneda configurada para la elegida (p. ej. PEN -> USD); '' si no hay
+function formatPriceReference(price, currency = __CURRENCY, rates = EXCHANGE) {
+    const reference = CURRENCY_RULES[currency] && CURRENCY_RULES[currency].reference;
+    if (!reference || reference === currency || !price) return '';
     
-    return `${symbol}${convertedPrice.toFixed(2)}`;
+    return I18n.t('price.reference', { price: formatPrice(price, reference, rates) });
+}
+
+function formatDualPrice(price, currency = __CURRENCY, rates = EXCHANGE) {
+    const reference = formatPriceReference(price, currency, rates);
+    return reference ? `${formatPrice(price, currency, rates)} (${reference})` : formatPrice(price, currency, rates);
+}
+
+// Opciones del selector: código y símbolo tal como se verán en los precios
+function renderCurrencyOptions() {
+    elements.currencySelect.innerHTML = Object.keys(CURRENCY_RULES)
+        .map(currency => `<option value="${currency}">${currency} (${getCurrencySymbol(currency)})</option>`)
+        .join('');
+    elements.currencySelect.value = __CURRENCY;
+}
+
+// Etiqueta de la talla en el sistema elegido (US/UK/EU/CM); sin conversión, la de StockX
+function getSizeLabel(sizeData, system = __SIZE_SYSTEM) {
+    const labels = sizeData.sizeInfo && sizeData.sizeInfo.labels;
+    return (labels && labels[system]) || sizeData.size;
+}
+
+function getSizeSortKey(sizeData) {
+    if (sizeData.sizeInfo) return sizeData.sizeInfo.sortKey;
+    const numeric = parseFloat(sizeData.size.replace('US ', ''));
+    return Number.isFinite(numeric) ? numeric : Infinity;
 }
 
 function formatDateTime(dateString) {
     try {
-        return new Date(dateString).toLocaleString('es-ES', {
+        return I18n.formatDate(new Date(dateString), {
             year: 'numeric',
             month: 'short',
             day: 'numeric',
@@ -88,10 +252,50 @@ function formatDateTime(dateString) {
             minute: '2-digit'
         });
     } catch {
-        return 'Fecha desconocida';
+        return I18n.t('date.unknown');
     }
 }
 
+function formatDate(dateString) {
+    try {
+        return I18n.formatDate(new Date(`${dateString}T00:00:00`), {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    } catch {
+        return dateString;
+    }
+}
+
+// Errores de las funciones: { error, code }; el código es estable y se traduce aquí
+async function createApiError(response) {
+    let body = {};
+    try {
+        body = await response.json();
+    } catch {
+        // Respuesta sin JSON (p. ej. una página de error del proxy)
+    }
+    
+    const error = new Error(body.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    error.code = body.code || null;
+    return error;
+}
+
+function getErrorMessage(error, fallbackKey) {
+    const key = error && error.code ? `errors.${error.code}` : null;
+    return key && I18n.has(key) ? I18n.t(key) : I18n.t(fallbackKey);
+}
+
+// Nodo con texto plano: los datos de la API y de localStorage nunca se interpretan como HTML
+function createTextElement(tag, className, text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+}
+
 function showToast(message, type = 'info') {
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
@@ -124,16 +328,73 @@ function showLoading(show = true) {
     elements.loadingOverlay.style.display = show ? 'flex' : 'none';
 }
 
+// Tipos de cambio del servidor (proveedor en vivo o respaldo local)
+async function loadExchangeRates() {
+    try {
+        const response = await fetch('/.netlify/functions/rates');
+        
+        if (!response.ok) {
+            throw await createApiError(response);
+        }
+        
+        const data = await response.json();
+        EXCHANGE = data.rates;
+        __RATES_DATE = data.date;
+        console.log(`💱 Tasas del ${data.date} (${data.source}${data.stale ? ', respaldo' : ''})`);
+    } catch (error) {
+        console.error('Error cargando tipos de cambio:', error);
+    }
+    
+    renderRatesInfo();
+}
+
+function renderRatesInfo() {
+    elements.ratesUpdated.textContent = __RATES_DATE
+        ? I18n.t('rates.date', { date: formatDate(__RATES_DATE) })
+        : I18n.t('rates.reference');
+}
+
+// Catálogo gestionado en servidor: IDs, nombres, colección, orden e imagen de respaldo
+async function loadCatalogConfig() {
+    const response = await fetch('/.netlify/functions/catalog');
+    
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+    
+    const catalog = await response.json();
+    PRODUCTS = catalog.products;
+    console.log(`📚 Catálogo v${catalog.version} (${catalog.updatedAt}): ${PRODUCTS.length} productos`);
+    return catalog;
+}
+
 // API Functions - CORREGIDO: Priorizar ID real
 // API Functions - SOLO POR ID
+// Petición condicional: con 304 se reutiliza la copia en memoria
 async function fetchProductData(productId) {
     try {
         console.log(`🔍 Fetching by ID: ${productId}`);
         
-        const response = await fetch(`/.netlify/functions/kicksdb?id=${encodeURIComponent(productId)}&market=US`);
+        const cached = __PRODUCT_CACHE[productId];
+        const headers = cached && __PRODUCT_ETAGS[productId]
+            ? { 'If-None-Match': __PRODUCT_ETAGS[productId] }
+            : {};
+        
+        const params = new URLSearchParams({ id: productId, market: __MARKET, currency: __CURRENCY });
+        const response = await fetch(`/.netlify/functions/kicksdb?${params}`, { headers });
+        
+        if (response.status === 304) {
+            console.log(`♻️ Sin cambios: ${productId}`);
+            return cached;
+        }
         
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+            throw await createApiError(response);
+        }
+        
+        const etag = response.headers.get('ETag');
+        if (etag) {
+            __PRODUCT_ETAGS[productId] = etag;
         }
         
         const data = await response.json();
@@ -145,143 +406,629 @@ async function fetchProductData(productId) {
     }
 }
 
+// Carga todo el catálogo en una sola llamada; con los ETags conocidos el servidor
+// marca como 'not_modified' (sin datos) los productos que no cambiaron
+async function fetchProductsBatch(productIds) {
+    console.log(`🔍 Fetching batch: ${productIds.length} productos`);
+    
+    const etags = {};
+    productIds.forEach(productId => {
+        if (__PRODUCT_CACHE[productId] && __PRODUCT_ETAGS[productId]) {
+            etags[productId] = __PRODUCT_ETAGS[productId];
+        }
+    });
+    
+    const response = await fetch('/.netlify/functions/kicksdb', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: productIds, market: __MARKET, currency: __CURRENCY, etags })
+    });
+    
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+    
+    const data = await response.json();
+    console.log('✅ Lote recibido:', data.summary);
+    adoptQuoteRates(data.rates);
+    return data.products;
+}
+
+// Búsqueda paginada en StockX (?query=...&page=&limit=)
+async function fetchSearchResults(query, page) {
+    const params = new URLSearchParams({ query, page: String(page), limit: String(SEARCH_PAGE_SIZE), market: __MARKET, currency: __CURRENCY });
+    const response = await fetch(`/.netlify/functions/kicksdb?${params}`);
+    
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+    
+    return response.json();
+}
+
+// Historial de precio de una talla (últimos 30 días por defecto)
+async function fetchPriceHistory(productId, size) {
+    const params = new URLSearchParams({ id: productId, size, market: __MARKET, currency: __CURRENCY });
+    const response = await fetch(`/.netlify/functions/history?${params}`);
+    
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+    
+    const data = await response.json();
+    return data.series[size] || [];
+}
+
+async function loadPriceHistory(productId, sizeData) {
+    elements.historySection.style.display = 'block';
+    elements.historyChart.innerHTML = `<p class="chart-empty">${I18n.t('history.loading')}</p>`;
+    
+    try {
+        const points = await fetchPriceHistory(productId, sizeData.size);
+        
+        // La talla pudo cambiar mientras llegaba la respuesta
+        if (!__SELECTED_SIZE || __SELECTED_SIZE.size !== sizeData.size) return;
+        
+        renderPriceChart(elements.historyChart, points, price => formatPrice(price));
+    } catch (error) {
+        console.error(`Error cargando historial de ${productId}:`, error);
+        elements.historyChart.innerHTML = `<p class="chart-empty">${getErrorMessage(error, 'history.unavailable')}</p>`;
+    }
+}
+
+// Devuelve { changedIds, error }: sólo las tarjetas de changedIds se vuelven a pintar;
+// error es el fallo del lote (los productos ya cargados se conservan)
 async function loadAllProducts() {
+    const isFirstLoad = Object.keys(__PRODUCT_CACHE).length === 0;
     showLoading(true);
-    showStatus('Conectando con StockX API...', 'loading');
+    showStatus(I18n.t('status.connecting'), 'loading');
     
-    const loadPromises = PRODUCTS.map(async product => {
-        try {
-            const data = await fetchProductData(product.id);
-            __PRODUCT_CACHE[product.id] = data;
-            
-            console.log(`✅ ${data.title}: ${data._source || 'Datos cargados'} - ${data.sizes.filter(s => s.available).length} tallas disponibles`);
-            
-        } catch (error) {
-            console.error(`Failed to load ${product.name}:`, error);
+    let results = {};
+    let batchError = null;
+    try {
+        results = await fetchProductsBatch(PRODUCTS.map(product => product.id));
+    } catch (error) {
+        console.error('Error fetching product batch:', error);
+        batchError = error;
+    }
+    
+    const changedIds = [];
+    
+    PRODUCTS.forEach(product => {
+        const result = results[product.id];
+        
+        if (result && result.status === 'not_modified' && __PRODUCT_CACHE[product.id]) {
+            return;
+        }
+        
+        if (result && result.data) {
+            __PRODUCT_CACHE[product.id] = applyCatalogOverrides(product, result.data);
+            __PRODUCT_ETAGS[product.id] = result.etag;
+            changedIds.push(product.id);
+            console.log(`✅ ${result.data.title}: ${result.data._source || 'Datos cargados'} - ${result.data.sizes.filter(s => s.available).length} tallas disponibles`);
+        } else if (!__PRODUCT_CACHE[product.id]) {
+            console.error(`Failed to load ${product.name}:`, result ? result.error : 'sin respuesta');
             __PRODUCT_CACHE[product.id] = createEnhancedFallback(product);
-            showToast(`Error cargando ${product.name} - Usando datos de respaldo`, 'warning');
+            changedIds.push(product.id);
+            showToast(I18n.t('toast.product_fallback', { name: product.name }), 'warning');
         }
     });
     
-    await Promise.all(loadPromises);
     hideStatus();
     showLoading(false);
-    renderCatalog();
+    renderCatalog(isFirstLoad ? null : changedIds);
+    return { changedIds, error: batchError };
 }
 
-function createEnhancedFallback(product) {
-    const officialPrices = {
-        'Anta Kai 1 Jelly': 118.00,
-        'Anta Kai 2 Triple Black': 101.00,
-        'Anta Kai Hélà White': 80.00
+// El catálogo manda sobre el nombre mostrado; la API aporta precios y tallas
+function applyCatalogOverrides(product, data) {
+    return {
+        ...data,
+        id: product.id,
+        title: product.name || data.title,
+        collection: product.collection
     };
-    
-    const basePrice = officialPrices[product.name] || 120.00;
-    
+}
+
+// Sin respuesta del servidor no hay datos que mostrar: las tallas demo
+// deterministas sólo las genera la función, nunca el navegador
+function createEnhancedFallback(product) {
     return {
         id: product.id,
         sku: product.id, // Usar ID como SKU en fallback
-        title: product.name,
-        image: getProductImageById(product.id),
+        title: product.name || `Producto ${product.id}`,
+        collection: product.collection,
+        image: product.image,
         lastUpdated: new Date().toISOString(),
-        regularPrice: basePrice,
-        sizes: generateAllSizesForProduct(basePrice),
+        regularPrice: product.fallbackPrice || 120.00,
+        sizes: [],
         _fallback: true,
-        _message: 'Datos de respaldo - StockX'
+        _demoReason: 'upstream_error',
+        _message: 'Sin conexión con el servidor - precios no disponibles'
     };
 }
 
-function getProductImageById(productId) {
-    const imageMap = {
-        'f1938d29-48da-47eb-a5f8-619a2d8443ca': 'https://images.unsplash.com/photo-1549298916-b41d501d3772?w=700&h=500&fit=crop',
-        'dbb27df3-bb6e-4a7a-ba38-1bbb5f5a022a': 'https://images.unsplash.com/photo-1606107557195-0e29a4b5b4aa?w=700&h=500&fit=crop',
-        '297427c6-73bd-414f-9535-e5739c0ed93f': 'https://images.unsplash.com/photo-1543508282-6319a3e2621f?w=700&h=500&fit=crop'
-    };
-    return imageMap[productId] || 'https://images.unsplash.com/photo-1542291026-7eec264c27ff?w=700&h=500&fit=crop';
-}
-function generateAllSizesForProduct(basePrice) {
-    const allSizes = [];
-    const sizeRange = ['6.5', '7', '7.5', '8', '8.5', '9', '9.5', '10', '10.5', '11', '11.5', '12', '12.5', '13', '13.5', '14', '15'];
-    
-    sizeRange.forEach(size => {
-        const available = Math.random() > 0.4;
-        const priceVariation = (Math.random() * 30) - 15;
-        const price = available ? basePrice + priceVariation : 0;
-        
-        allSizes.push({
-            size: `US ${size}`,
-            price: parseFloat(price.toFixed(2)),
-            available: available
-        });
-    });
-    
-    return allSizes;
+function getDemoReasonLabel(data) {
+    const reason = DEMO_REASONS.includes(data._demoReason) ? data._demoReason : 'upstream_error';
+    return I18n.t(`demo.reason.${reason}`);
 }
+
 async function refreshProducts() {
     const refreshIcon = elements.refreshBtn.querySelector('.refresh-icon');
     refreshIcon.classList.add('spinning');
     
     try {
-        await loadAllProducts();
+        await loadExchangeRates();
+        const { changedIds, error } = await loadAllProducts();
+        if (error) throw error;
         
-        if (__SELECTED_PRODUCT_SKU) {
+        // Re-renderizar el detalle sólo si su producto cambió (conserva la talla elegida)
+        if (__SELECTED_PRODUCT_SKU && changedIds.includes(__SELECTED_PRODUCT_SKU)) {
             renderProductDetail(__SELECTED_PRODUCT_SKU);
         }
         
-        showToast('Datos de StockX actualizados', 'success');
+        notifyWatchAlerts(Watchlist.check(__PRODUCT_CACHE));
+        
+        const flaggedLines = Cart.reconcile(__PRODUCT_CACHE);
+        if (flaggedLines.length > 0) {
+            showToast(I18n.t('toast.cart_flagged', { count: flaggedLines.length }), 'warning');
+        }
+        
+        showToast(
+            changedIds.length > 0 ? I18n.t('toast.refreshed', { count: changedIds.length }) : I18n.t('toast.no_changes'),
+            'success'
+        );
     } catch (error) {
-        showToast('Error al actualizar datos', 'error');
+        showToast(getErrorMessage(error, 'toast.refresh_error'), 'error');
     } finally {
         refreshIcon.classList.remove('spinning');
     }
 }
 
 // Render Functions
-function renderCatalog() {
+// changedIds: refresco parcial, sólo se reemplazan esas tarjetas
+function renderCatalog(changedIds = null) {
     const grid = elements.productGrid;
+    renderFilterOptions();
+    
+    // Con filtros u orden activos una tarjeta cambiada puede moverse o desaparecer
+    if (changedIds && grid.children.length > 0 && !hasActiveFilters()) {
+        changedIds.forEach(productId => {
+            const product = PRODUCTS.find(item => item.id === productId);
+            const card = Array.from(grid.children).find(item => item.dataset.productId === productId);
+            if (product && card) {
+                card.replaceWith(createProductCard(product, __PRODUCT_CACHE[productId]));
+            }
+        });
+        return;
+    }
+    
     grid.innerHTML = '';
     
-    PRODUCTS.forEach(product => {
-        const data = __PRODUCT_CACHE[product.id];
-        if (!data) return;
+    const loaded = PRODUCTS
+        .filter(product => __PRODUCT_CACHE[product.id])
+        .map(product => ({ product, data: __PRODUCT_CACHE[product.id] }));
+    const visible = loaded.filter(({ product, data }) => matchesFilters(product, data));
+    
+    if (CATALOG_SORTS[__FILTERS.sort]) {
+        visible.sort(CATALOG_SORTS[__FILTERS.sort]);
+    }
+    
+    visible.forEach(({ product, data }) => grid.appendChild(createProductCard(product, data)));
+    
+    if (loaded.length > 0 && visible.length === 0) {
+        grid.innerHTML = `<p class="search-empty">${I18n.t('filters.empty')}</p>`;
+    }
+    
+    elements.catalogCount.textContent = hasActiveFilters() && loaded.length > 0
+        ? I18n.t('filters.count', { shown: visible.length, count: loaded.length })
+        : '';
+}
+
+// Filters & Sorting
+// ?min=&max= (en la moneda elegida), stock=1, size=, brand=, collection=, sort=
+function readFiltersFromQuery(query) {
+    const toPrice = value => {
+        const price = parseFloat(value);
+        return Number.isFinite(price) && price >= 0 ? price : null;
+    };
+    
+    return {
+        minPrice: toPrice(query.min),
+        maxPrice: toPrice(query.max),
+        inStock: query.stock === '1',
+        size: query.size || '',
+        brand: query.brand || '',
+        // Las colecciones son fijas; talla y marca se comprueban al llegar los datos (renderFilterOptions)
+        collection: PRODUCTS.some(product => product.collection && product.collection === query.collection) ? query.collection : '',
+        sort: CATALOG_SORTS[query.sort] ? query.sort : ''
+    };
+}
+
+function getFilterQuery() {
+    return {
+        min: __FILTERS.minPrice,
+        max: __FILTERS.maxPrice,
+        stock: __FILTERS.inStock ? '1' : null,
+        size: __FILTERS.size,
+        brand: __FILTERS.brand,
+        collection: __FILTERS.collection,
+        sort: __FILTERS.sort
+    };
+}
+
+function hasActiveFilters() {
+    return Object.values(getFilterQuery()).some(value => value !== null && value !== '');
+}
+
+// Precio que muestra la tarjeta y con el que se filtra y ordena: el de la talla
+// del perfil o, sin perfil, el de la talla más barata con stock (null = sin precio)
+function getCatalogPrice(data) {
+    const profileSize = getProfileSize(data);
+    if (profileSize) {
+        return profileSize.available ? profileSize.sizeData.price : null;
+    }
+    
+    const prices = data.sizes.filter(s => s.available && s.price > 0).map(s => s.price);
+    return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+function getSortablePrice(data) {
+    const price = getCatalogPrice(data);
+    return price === null ? Infinity : price;
+}
+
+function countAvailableSizes(data) {
+    return data.sizes.filter(s => s.available).length;
+}
+
+function getWeeklyOrders(data) {
+    return (data._apiData && data._apiData.weeklyOrders) || 0;
+}
+
+function matchesFilters(product, data) {
+    const filters = __FILTERS;
+    
+    if (filters.inStock && countAvailableSizes(data) === 0) return false;
+    if (filters.size && !data.sizes.some(s => s.size === filters.size && s.available)) return false;
+    if (filters.brand && data.brand !== filters.brand) return false;
+    if (filters.collection && product.collection !== filters.collection) return false;
+    
+    if (filters.minPrice !== null || filters.maxPrice !== null) {
+        const price = getCatalogPrice(data);
+        if (price === null) return false;
+        
+        const converted = convertPrice(price, __CURRENCY, getQuoteRates(data));
+        if (filters.minPrice !== null && converted < filters.minPrice) return false;
+        if (filters.maxPrice !== null && converted > filters.maxPrice) return false;
+    }
+    
+    return true;
+}
+
+// Opciones a partir de los datos cargados; un valor de la URL que no es una opción conocida se descarta
+function renderFilterOptions() {
+    const loaded = PRODUCTS.map(product => __PRODUCT_CACHE[product.id]).filter(Boolean);
+    const sizeOptions = getCatalogSizeOptions();
+    
+    const brands = [...new Set(loaded.map(data => data.brand).filter(Boolean))].sort();
+    const collections = [...new Set(PRODUCTS.map(product => product.collection).filter(Boolean))];
+    
+    const size = fillFilterSelect(elements.filterSize, I18n.t('filters.any_size'), sizeOptions, __FILTERS.size);
+    const brand = fillFilterSelect(elements.filterBrand, I18n.t('filters.any_brand'), brands.map(brand => ({ value: brand, label: brand })), __FILTERS.brand);
+    const collection = fillFilterSelect(elements.filterCollection, I18n.t('filters.any_collection'), collections.map(collection => ({ value: collection, label: collection })), __FILTERS.collection);
+    
+    // Hasta que llegan los productos no se sabe qué tallas y marcas existen
+    const changed = size !== __FILTERS.size || brand !== __FILTERS.brand || collection !== __FILTERS.collection;
+    if (loaded.length > 0 && changed) {
+        __FILTERS = { ...__FILTERS, size, brand, collection };
+        if (Router.current().path === '/') {
+            Router.update('/', getHomeQuery());
+        }
+    }
+    
+    // La talla del perfil es del propio usuario: se conserva aunque ningún producto cargado la tenga
+    const profileSize = Profile.get().size || '';
+    const profileOptions = profileSize && !sizeOptions.some(option => option.value === profileSize)
+        ? [...sizeOptions, { value: profileSize, label: profileSize }]
+        : sizeOptions;
+    fillFilterSelect(elements.profileSize, I18n.t('profile.no_size'), profileOptions, profileSize);
+}
+
+// Todas las tallas del catálogo cargado, una por talla de StockX, en el sistema elegido
+function getCatalogSizeOptions() {
+    const sizes = new Map();
+    PRODUCTS.map(product => __PRODUCT_CACHE[product.id]).filter(Boolean).forEach(data => data.sizes.forEach(sizeData => {
+        if (!sizes.has(sizeData.size)) sizes.set(sizeData.size, sizeData);
+    }));
+    
+    return [...sizes.values()]
+        .sort((a, b) => getSizeSortKey(a) - getSizeSortKey(b))
+        .map(sizeData => ({ value: sizeData.size, label: getSizeLabel(sizeData) }));
+}
+
+// Shopper Profile - talla habitual
+// { size, label, sizeData, available } de la talla del perfil en este producto; null sin perfil
+function getProfileSize(data) {
+    const { size } = Profile.get();
+    if (!size) return null;
+    
+    const sizeData = data.sizes.find(s => s.size === size) || null;
+    return {
+        size,
+        label: sizeData ? getSizeLabel(sizeData) : getCatalogSizeLabel(size),
+        sizeData,
+        available: !!(sizeData && sizeData.available && sizeData.price > 0)
+    };
+}
+
+// Etiqueta de una talla que este producto no tiene: la de cualquier otro del catálogo
+function getCatalogSizeLabel(size) {
+    const option = getCatalogSizeOptions().find(item => item.value === size);
+    return option ? option.label : size;
+}
+
+function handleProfileSizeChange() {
+    const size = elements.profileSize.value || null;
+    Profile.setSize(size);
+    
+    if (size) {
+        showToast(I18n.t('toast.profile_size', { size: getCatalogSizeLabel(size) }), 'info');
+    }
+}
+
+// Cambios del perfil (también desde otra pestaña): tarjetas y tallas del detalle
+function handleProfileChange(profile) {
+    __SIZE_SYSTEM = profile.sizeSystem;
+    elements.sizeSystemSelect.value = __SIZE_SYSTEM;
+    elements.profileSizeSystem.value = __SIZE_SYSTEM;
+    renderCatalog();
+    
+    const data = __PRODUCT_CACHE[__SELECTED_PRODUCT_SKU];
+    if (data) {
+        renderAllSizes(data.sizes);
+    }
+}
+
+// Los valores vienen de la URL y de la API: se asignan como texto, nunca como HTML.
+// Devuelve el valor elegido ('' si value no es una de las opciones)
+function fillFilterSelect(select, emptyLabel, options, value) {
+    const createOption = (optionValue, label) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        return option;
+    };
+    
+    select.replaceChildren(
+        createOption('', emptyLabel),
+        ...options.map(option => createOption(option.value, option.label))
+    );
+    
+    const selected = options.some(option => option.value === value) ? value : '';
+    select.value = selected;
+    return selected;
+}
+
+function syncFilterControls() {
+    elements.filterMinPrice.value = __FILTERS.minPrice !== null ? __FILTERS.minPrice : '';
+    elements.filterMaxPrice.value = __FILTERS.maxPrice !== null ? __FILTERS.maxPrice : '';
+    elements.filterInStock.checked = __FILTERS.inStock;
+    elements.filterSize.value = __FILTERS.size;
+    elements.filterBrand.value = __FILTERS.brand;
+    elements.filterCollection.value = __FILTERS.collection;
+    elements.sortSelect.value = __FILTERS.sort;
+}
+
+// Ajustar filtros no crea entradas en el historial: sólo se refleja en la URL
+function handleFilterChange() {
+    __FILTERS = readFiltersFromQuery({
+        min: elements.filterMinPrice.value,
+        max: elements.filterMaxPrice.value,
+        stock: elements.filterInStock.checked ? '1' : '',
+        size: elements.filterSize.value,
+        brand: elements.filterBrand.value,
+        collection: elements.filterCollection.value,
+        sort: elements.sortSelect.value
+    });
+    
+    renderCatalog();
+    Router.update('/', getHomeQuery());
+}
+
+function clearFilters() {
+    __FILTERS = readFiltersFromQuery({});
+    syncFilterControls();
+    renderCatalog();
+    Router.update('/', getHomeQuery());
+}
+
+function createProductCard(product, data) {
+    const availableSizes = data.sizes.filter(s => s.available);
+    const profileSize = getProfileSize(data);
+    const displayPrice = getCatalogPrice(data) || data.regularPrice;
+    const rates = getQuoteRates(data);
+    
+    let priceText = I18n.t('card.from', { price: formatDualPrice(displayPrice, __CURRENCY, rates) });
+    if (profileSize) {
+        priceText = profileSize.available
+            ? I18n.t('card.my_size_price', { size: profileSize.label, price: formatDualPrice(profileSize.sizeData.price, __CURRENCY, rates) })
+            : I18n.t('card.my_size_sold_out', { size: profileSize.label });
+    }
+    const soldOutInSize = profileSize && !profileSize.available;
+
+    const card = document.createElement('div');
+    card.className = `product-card ${soldOutInSize ? 'size-sold-out' : ''}`;
+    card.dataset.productId = product.id;
+    
+    // Título e imagen vienen de StockX: texto y atributos, como en los resultados de búsqueda
+    const imageContainer = document.createElement('div');
+    imageContainer.className = 'product-image-container';
+    const image = document.createElement('img');
+    image.className = 'product-image';
+    image.alt = data.title || '';
+    image.addEventListener('error', () => {
+        image.src = SEARCH_FALLBACK_IMAGE;
+    }, { once: true });
+    image.src = data.image || SEARCH_FALLBACK_IMAGE;
+    imageContainer.appendChild(image);
+    
+    if (data._fallback) {
+        const badge = createTextElement('div', 'fallback-badge', I18n.t('card.demo_badge'));
+        badge.title = getDemoReasonLabel(data);
+        imageContainer.appendChild(badge);
+    }
+    if (data._source) {
+        imageContainer.appendChild(createTextElement('div', 'api-badge', I18n.t('card.api_badge')));
+    }
+    if (soldOutInSize) {
+        imageContainer.appendChild(createTextElement('div', 'sold-out-badge', I18n.t('card.sold_out_badge')));
+    }
+    
+    const price = document.createElement('div');
+    price.className = 'product-price';
+    price.append(
+        createTextElement('span', 'price-amount', priceText),
+        createTextElement('span', 'available-sizes', I18n.t('card.sizes_available', { count: availableSizes.length }))
+    );
+    const info = document.createElement('div');
+    info.className = 'product-info';
+    info.append(createTextElement('h3', 'product-name', data.title), price);
+    
+    card.append(imageContainer, info);
+    
+    card.addEventListener('click', () => goDetail(product.id));
+    return card;
+}
 
-        const availableSizes = data.sizes.filter(s => s.available);
-        const minPrice = availableSizes.length > 0 
-            ? Math.min(...availableSizes.map(s => s.price))
-            : data.regularPrice;
+// Search Functions
+async function runSearch(query, page = 1) {
+    __SEARCH = { query, page, hasMore: false, data: null };
+    showLoading(true);
+    
+    try {
+        const data = await fetchSearchResults(query, page);
+        __SEARCH.hasMore = data.hasMore;
+        __SEARCH.data = data;
+        renderSearchResults(data);
         
-        const displayPrice = minPrice || data.regularPrice;
+        if (data._fallback) {
+            showToast(I18n.t('search.unavailable'), 'warning');
+        }
+    } catch (error) {
+        console.error(`Error searching "${query}":`, error);
+        showToast(getErrorMessage(error, 'search.error'), 'error');
+    } finally {
+        showLoading(false);
+    }
+}
 
+function renderSearchResults(data) {
+    elements.productGrid.style.display = 'none';
+    elements.catalogToolbar.style.display = 'none';
+    elements.searchResults.style.display = 'block';
+    elements.searchClearBtn.style.display = 'inline-flex';
+    
+    elements.searchResultsTitle.textContent = data.total !== null
+        ? I18n.t('search.results_count', { count: data.total, query: data.query })
+        : I18n.t('search.results', { query: data.query });
+    
+    const grid = elements.searchGrid;
+    grid.innerHTML = '';
+    
+    if (data.results.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'search-empty';
+        empty.textContent = I18n.t('search.empty');
+        grid.appendChild(empty);
+    }
+    
+    const rates = { ...EXCHANGE, ...data.rates };
+    
+    // Los resultados vienen de StockX sin filtrar: se asignan como texto y atributos, nunca como HTML
+    data.results.forEach(result => {
         const card = document.createElement('div');
         card.className = 'product-card';
-        card.innerHTML = `
-            <div class="product-image-container">
-                <img src="${data.image}" 
-                     alt="${data.title}" 
-                     class="product-image"
-                     onerror="this.src='https://images.unsplash.com/photo-1542291026-7eec264c27ff?w=700&h=500&fit=crop'">
-                ${data._fallback ? '<div class="fallback-badge">Demo</div>' : ''}
-                ${data._source ? '<div class="api-badge">API Real</div>' : ''}
-            </div>
-            <div class="product-info">
-                <h3 class="product-name">${data.title}</h3>
-                <div class="product-price">
-                    <span class="price-amount">Desde ${formatPrice(displayPrice)}</span>
-                    <span class="available-sizes">${availableSizes.length} tallas disponibles</span>
-                </div>
-            </div>
-        `;
-        
-        card.addEventListener('click', () => goDetail(product.id));
+        
+        const imageContainer = document.createElement('div');
+        imageContainer.className = 'product-image-container';
+        const image = document.createElement('img');
+        image.className = 'product-image';
+        image.alt = result.title || '';
+        image.addEventListener('error', () => {
+            image.src = SEARCH_FALLBACK_IMAGE;
+        }, { once: true });
+        image.src = result.image || SEARCH_FALLBACK_IMAGE;
+        imageContainer.appendChild(image);
+        
+        const info = document.createElement('div');
+        info.className = 'product-info';
+        const name = document.createElement('h3');
+        name.className = 'product-name';
+        name.textContent = result.title || '';
+        const price = document.createElement('div');
+        price.className = 'product-price';
+        const amount = document.createElement('span');
+        amount.className = 'price-amount';
+        amount.textContent = result.minPrice
+            ? I18n.t('card.from', { price: formatDualPrice(result.minPrice, __CURRENCY, rates) })
+            : I18n.t('search.no_offers');
+        const sku = document.createElement('span');
+        sku.className = 'available-sizes';
+        sku.textContent = result.sku || '';
+        price.append(amount, sku);
+        info.append(name, price);
+        
+        card.append(imageContainer, info);
+        
+        card.addEventListener('click', () => openSearchResult(result));
         grid.appendChild(card);
     });
+    
+    elements.searchPage.textContent = I18n.t('search.page', { page: data.page });
+    elements.searchPrevBtn.disabled = data.page <= 1;
+    elements.searchNextBtn.disabled = !data.hasMore;
+}
+
+// Los resultados de búsqueda se cargan con detalle completo al abrirlos
+async function openSearchResult(result) {
+    showLoading(true);
+    
+    try {
+        const data = await fetchProductData(result.id);
+        __PRODUCT_CACHE[result.id] = { ...data, id: result.id };
+        goDetail(result.id);
+    } catch (error) {
+        showToast(I18n.t('toast.load_error', { title: result.title }), 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+function clearSearch() {
+    __SEARCH = { query: '', page: 1, hasMore: false, data: null };
+    elements.searchInput.value = '';
+    elements.searchResults.style.display = 'none';
+    elements.searchClearBtn.style.display = 'none';
+    elements.productGrid.style.display = '';
+    elements.catalogToolbar.style.display = '';
 }
 
-// Cambiar nombre de parámetro para claridad
+function handleSearchSubmit(e) {
+    e.preventDefault();
+    const query = elements.searchInput.value.trim();
+    
+    if (!query) {
+        clearSearch();
+        return;
+    }
+    
+    runSearch(query, 1);
+}
+
+// Con el catálogo filtrado por talla, el detalle se abre con esa talla elegida
 function goDetail(productId) {
-    elements.homeView.classList.remove('active');
-    elements.detailView.classList.add('active');
-    renderProductDetail(productId);
+    Router.navigate(getProductPath(productId), { size: __FILTERS.size || null, currency: getCurrencyQuery() });
 }
 
 function renderProductDetail(productId) {
@@ -302,50 +1049,84 @@ function renderProductDetail(productId) {
     
     if (data._fallback) {
         elements.imageBadge.style.display = 'block';
-        elements.imageBadge.querySelector('.badge-text').textContent = 'Modo Demo';
+        elements.imageBadge.querySelector('.badge-text').textContent = I18n.t('detail.badge_demo');
     } else if (data._source) {
         elements.imageBadge.style.display = 'block';
-        elements.imageBadge.querySelector('.badge-text').textContent = 'StockX API';
+        elements.imageBadge.querySelector('.badge-text').textContent = I18n.t('detail.badge_api');
     } else {
         elements.imageBadge.style.display = 'none';
     }
     
+    renderDemoNotice(data);
+    
     // Mostrar precio inicial como "Selecciona una talla"
     updateDetailPrice(null, true);
-    
-    // Renderizar TODAS las tallas (disponibles y no disponibles)
-    renderAllSizes(data.sizes);
+    renderPriceBreakdown(null);
+    elements.historySection.style.display = 'none';
     
     // Resetear cantidad
     elements.quantityInput.value = 1;
     elements.addToCartBtn.disabled = true;
+    renderWatchSection(productId);
+    
+    // Renderizar TODAS las tallas (disponibles y no disponibles); puede elegir la del perfil
+    renderAllSizes(data.sizes);
+    Router.update(getProductPath(productId), getRouteQuery());
     
     console.log(`Detalle cargado: ${data.title} - ${data.sizes.filter(s => s.available).length}/${data.sizes.length} tallas disponibles`);
 }
 
+// Aviso visible de por qué se muestran precios de demostración
+function renderDemoNotice(data) {
+    if (!data._fallback) {
+        elements.demoNotice.style.display = 'none';
+        return;
+    }
+    
+    elements.demoNotice.style.display = 'block';
+    elements.demoNotice.innerHTML = `
+        <strong>${I18n.t('demo.notice_title')}</strong> ${I18n.t('demo.notice_body', { reason: getDemoReasonLabel(data) })}
+    `;
+}
+
 function renderAllSizes(sizes) {
     const container = elements.sizesContainer;
     container.innerHTML = '';
     
-    // Ordenar tallas numéricamente
-    const sortedSizes = [...sizes].sort((a, b) => {
-        const sizeA = parseFloat(a.size.replace('US ', ''));
-        const sizeB = parseFloat(b.size.replace('US ', ''));
-        return sizeA - sizeB;
-    });
+    if (sizes.length === 0) {
+        container.innerHTML = `<p class="sizes-empty">${I18n.t('sizes.empty')}</p>`;
+        return;
+    }
+    
+    const rates = getQuoteRates(__PRODUCT_CACHE[__SELECTED_PRODUCT_SKU]);
+    
+    // Ordenar por categoría (niño, youth, hombre, mujer) y talla
+    const sortedSizes = [...sizes].sort((a, b) => getSizeSortKey(a) - getSizeSortKey(b));
     
     sortedSizes.forEach(sizeData => {
+        const category = sizeData.sizeInfo && SIZE_CATEGORIES.includes(sizeData.sizeInfo.category)
+            ? I18n.t(`size_category.${sizeData.sizeInfo.category}`)
+            : null;
+        const isSelected = __SELECTED_SIZE && __SELECTED_SIZE.size === sizeData.size;
+        
         const button = document.createElement('button');
-        button.className = `size-button ${!sizeData.available ? 'unavailable' : ''}`;
-        button.innerHTML = `
-            <span class="size-text">${sizeData.size}</span>
-            <span class="size-price">${formatPrice(sizeData.price)}</span>
-        `;
+        button.className = `size-button ${!sizeData.available ? 'unavailable' : ''} ${isSelected ? 'selected' : ''}`;
+        button.dataset.size = sizeData.size;
+        // La talla sin conversión es el texto de StockX tal cual
+        button.appendChild(createTextElement('span', 'size-text', getSizeLabel(sizeData)));
+        if (category && __SIZE_SYSTEM !== 'US') {
+            button.appendChild(createTextElement('span', 'size-category', category));
+        }
+        button.appendChild(createTextElement('span', 'size-price', formatPrice(sizeData.price, __CURRENCY, rates)));
+        
+        if (__SIZE_SYSTEM !== 'US') {
+            button.title = sizeData.size;
+        }
         button.disabled = !sizeData.available;
         
         // Mostrar tooltip para tallas no disponibles
         if (!sizeData.available) {
-            button.title = 'Talla agotada - Sin stock';
+            button.title = I18n.t('sizes.sold_out_title');
         }
         
         if (sizeData.available) {
@@ -354,70 +1135,308 @@ function renderAllSizes(sizes) {
         
         container.appendChild(button);
     });
+    
+    // Sin talla elegida se preselecciona la del perfil si tiene stock
+    const profileSize = !__SELECTED_SIZE && __SELECTED_PRODUCT_SKU ? getProfileSize({ sizes }) : null;
+    if (profileSize && profileSize.available) {
+        selectSize(profileSize.sizeData, { notify: false });
+    }
 }
 
-function selectSize(sizeData) {
+// notify: false al restaurar la talla desde la URL (sin toast)
+function selectSize(sizeData, { notify = true } = {}) {
     __SELECTED_SIZE = sizeData;
     
-    // Remover selección previa
+    // Marcar sólo el botón de la talla elegida
     document.querySelectorAll('.size-button').forEach(btn => {
-        btn.classList.remove('selected');
+        btn.classList.toggle('selected', btn.dataset.size === sizeData.size);
     });
     
-    // Agregar selección actual
-    event.target.closest('.size-button').classList.add('selected');
-    
     // Actualizar precio con el de la talla seleccionada
     updateDetailPrice(sizeData.price, false);
+    renderPriceBreakdown(sizeData);
     
-    // Habilitar botón de agregar al carrito
-    elements.addToCartBtn.disabled = false;
+    // Habilitar botón de agregar al carrito (nunca con precios de demostración)
+    const data = __PRODUCT_CACHE[__SELECTED_PRODUCT_SKU];
+    elements.addToCartBtn.disabled = !!(data && data._fallback);
+    elements.watchSizeSelect.value = sizeData.size;
+    
+    loadPriceHistory(__SELECTED_PRODUCT_SKU, sizeData);
+    Router.update(getProductPath(__SELECTED_PRODUCT_SKU), getRouteQuery());
     
-    showToast(`Talla ${sizeData.size} seleccionada - ${formatPrice(sizeData.price)}`, 'info');
+    if (notify) {
+        showToast(I18n.t('toast.size_selected', {
+            size: getSizeLabel(sizeData),
+            price: formatPrice(sizeData.price, __CURRENCY, getQuoteRates(data))
+        }), 'info');
+    }
 }
 
 function updateDetailPrice(price, isInitial = false) {
+    const rates = getQuoteRates(__PRODUCT_CACHE[__SELECTED_PRODUCT_SKU]);
+    elements.detailPriceReference.textContent = isInitial ? '' : formatPriceReference(price, __CURRENCY, rates);
+    
     if (isInitial) {
-        elements.detailPrice.textContent = 'Selecciona una talla';
+        elements.detailPrice.textContent = I18n.t('detail.select_size');
         elements.detailPrice.style.color = 'var(--text-secondary)';
         elements.detailPrice.style.fontSize = 'var(--font-size-xl)';
         return;
     }
     
     if (price === 0 || price === null || price === undefined) {
-        elements.detailPrice.textContent = 'Agotado';
+        elements.detailPrice.textContent = I18n.t('detail.sold_out');
         elements.detailPrice.style.color = 'var(--error-color)';
     } else {
-        elements.detailPrice.textContent = formatPrice(price);
+        elements.detailPrice.textContent = formatPrice(price, __CURRENCY, rates);
         elements.detailPrice.style.color = 'var(--accent-primary)';
         elements.detailPrice.style.fontSize = '2.5rem';
     }
 }
 
+// Desglose del precio de venta de la talla (el servidor nunca envía el ask del mercado)
+function renderPriceBreakdown(sizeData) {
+    const breakdown = sizeData && sizeData.priceBreakdown;
+    if (!breakdown) {
+        elements.priceBreakdown.style.display = 'none';
+        return;
+    }
+    
+    const lines = [
+        ['item', breakdown.item],
+        ['shipping', breakdown.shipping],
+        ['duties', breakdown.duties],
+        ['taxes', breakdown.taxes],
+        ['rounding', breakdown.rounding]
+    ].filter(([part, amount]) => part === 'item' || Math.abs(amount) >= 0.005);
+    
+    const data = __PRODUCT_CACHE[__SELECTED_PRODUCT_SKU];
+    const market = data && data._market;
+    const rates = getQuoteRates(data);
+    
+    elements.priceBreakdown.style.display = 'block';
+    elements.priceBreakdown.querySelector('.breakdown-lines').innerHTML = `
+        ${market ? `<p class="breakdown-market">${I18n.t('breakdown.market', { market: getMarketLabel(market.code), currency: market.currency })}</p>` : ''}
+        ${lines.map(([part, amount]) => `
+            <div class="breakdown-line"><span>${I18n.t(`breakdown.${part}`)}</span><span>${formatPrice(amount, __CURRENCY, rates)}</span></div>
+        `).join('')}
+        <div class="breakdown-line breakdown-total"><span>${I18n.t('breakdown.total')}</span><span>${formatDualPrice(breakdown.total, __CURRENCY, rates)}</span></div>
+    `;
+}
+
+function getMarketLabel(market) {
+    return MARKETS.includes(market) ? I18n.t(`market.${market}`) : market;
+}
+
 // Navigation Functions
 function goHome() {
-    elements.homeView.classList.add('active');
-    elements.detailView.classList.remove('active');
+    Router.navigate('/', getHomeQuery());
+}
+
+function getProductPath(productId) {
+    return `/product/${encodeURIComponent(productId)}`;
+}
+
+// Estado que viaja en la URL: moneda (USD no se escribe), más la talla elegida
+// en el detalle o los filtros en la portada
+function getRouteQuery() {
+    if (!__SELECTED_PRODUCT_SKU) return getHomeQuery();
+    
+    return {
+        size: __SELECTED_SIZE ? __SELECTED_SIZE.size : null,
+        currency: getCurrencyQuery()
+    };
+}
+
+function getHomeQuery() {
+    return { ...getFilterQuery(), currency: getCurrencyQuery() };
+}
+
+function getCurrencyQuery() {
+    return __CURRENCY !== 'USD' ? __CURRENCY : null;
+}
+
+function showView(view) {
+    elements.homeView.classList.toggle('active', view === elements.homeView);
+    elements.detailView.classList.toggle('active', view === elements.detailView);
+    elements.notFoundView.classList.toggle('active', view === elements.notFoundView);
+    window.scrollTo(0, 0);
+}
+
+// Moneda pedida en la URL: se aplica antes de pintar la vista
+async function applyRouteCurrency(currency) {
+    if (!currency || !CURRENCY_RULES[currency] || currency === __CURRENCY) return;
+    
+    __CURRENCY = currency;
+    elements.currencySelect.value = currency;
+    await reloadPrices();
+}
+
+// Route Handlers
+async function showHomeRoute(params, query) {
+    await applyRouteCurrency(query.currency);
+    __SELECTED_PRODUCT_SKU = null;
+    __SELECTED_SIZE = null;
+    __FILTERS = readFiltersFromQuery(query);
+    renderCatalog();
+    syncFilterControls();
+    showView(elements.homeView);
+}
+
+async function showProductRoute({ id }, query) {
+    await applyRouteCurrency(query.currency);
+    
+    const data = __PRODUCT_CACHE[id] || await loadRouteProduct(id);
+    if (!data || data._demoReason === 'not_found') {
+        showNotFound('notfound.product', { id });
+        return;
+    }
+    
+    showView(elements.detailView);
+    
+    // Volver atrás dentro del mismo producto sólo cambia la talla
+    const isNewProduct = __SELECTED_PRODUCT_SKU !== id;
+    if (isNewProduct) {
+        renderProductDetail(id);
+    }
+    
+    const sizeData = query.size && data.sizes.find(item => item.size === query.size && item.available);
+    if (sizeData) {
+        if (!__SELECTED_SIZE || __SELECTED_SIZE.size !== sizeData.size) {
+            selectSize(sizeData, { notify: false });
+        }
+    } else if (__SELECTED_SIZE && !isNewProduct) {
+        renderProductDetail(id);
+    }
+}
+
+// Un enlace puede apuntar a un producto que no está en el catálogo (p. ej. de la búsqueda)
+async function loadRouteProduct(productId) {
+    showLoading(true);
+    
+    try {
+        const data = await fetchProductData(productId);
+        __PRODUCT_CACHE[productId] = { ...data, id: productId };
+        return __PRODUCT_CACHE[productId];
+    } catch (error) {
+        // 404: el producto no existe y se muestra la vista de no encontrado; el resto es un fallo de carga
+        if (error.status !== 404) {
+            showToast(getErrorMessage(error, 'toast.refresh_error'), 'error');
+        }
+        return null;
+    } finally {
+        showLoading(false);
+    }
+}
+
+// El mensaje se guarda como clave para que I18n.apply() lo traduzca al cambiar de idioma
+function showNotFound(messageKey = 'notfound.page', params = {}) {
     __SELECTED_PRODUCT_SKU = null;
     __SELECTED_SIZE = null;
+    elements.notFoundMessage.dataset.i18n = messageKey;
+    elements.notFoundMessage.dataset.i18nParams = JSON.stringify(params);
+    elements.notFoundMessage.textContent = I18n.t(messageKey, params);
+    showView(elements.notFoundView);
 }
 
 // Event Handlers
-function handleCurrencyChange() {
+// El sistema de tallas es parte del perfil: handleProfileChange vuelve a pintar
+function handleSizeSystemChange(e) {
+    Profile.setSizeSystem(e.target.value);
+}
+
+// Envío, aranceles y redondeo dependen de la moneda: los precios se piden de nuevo
+async function handleCurrencyChange() {
     __CURRENCY = elements.currencySelect.value;
+    localStorage.setItem('courts-currency', __CURRENCY);
+    await reloadPrices();
+    Router.update(Router.current().path, getRouteQuery());
+    showToast(I18n.t('toast.currency_changed', { currency: __CURRENCY }), 'info');
+}
+
+// Cada región de StockX tiene sus propios asks, en su moneda
+async function handleMarketChange() {
+    __MARKET = elements.marketSelect.value;
+    localStorage.setItem('courts-market', __MARKET);
+    await reloadPrices();
+    showToast(I18n.t('toast.market_changed', { market: getMarketLabel(__MARKET) }), 'info');
+}
+
+// Los textos fijos los traduce I18n.apply(); lo pintado desde JS se vuelve a pintar
+function handleLanguageChange() {
+    I18n.setLocale(elements.languageSelect.value);
+}
+
+function renderLocalizedViews() {
+    renderCurrencyOptions();
+    renderRatesInfo();
+    renderCatalog();
+    renderCart();
+    
+    if (__SEARCH.data) {
+        renderSearchResults(__SEARCH.data);
+    }
     
-    if (elements.homeView.classList.contains('active')) {
-        renderCatalog();
-    } else if (__SELECTED_PRODUCT_SKU) {
-        const currentPrice = __SELECTED_SIZE ? __SELECTED_SIZE.price : null;
-        updateDetailPrice(currentPrice, !__SELECTED_SIZE);
+    const data = __PRODUCT_CACHE[__SELECTED_PRODUCT_SKU];
+    if (data) {
+        const selectedSize = __SELECTED_SIZE;
+        renderProductDetail(__SELECTED_PRODUCT_SKU);
         
-        // Re-renderizar tallas con nuevos precios
+        if (selectedSize) {
+            selectSize(selectedSize, { notify: false });
+        }
+    }
+    
+    if (elements.checkoutModal.classList.contains('open') && __ORDER) {
+        renderReceipt(__ORDER);
+    }
+    
+    showToast(I18n.t('toast.language_changed', { language: I18n.t('language.name') }), 'info');
+}
+
+// Vuelve a pedir todos los precios (los ETags de otra moneda o mercado no sirven)
+async function reloadPrices() {
+    __PRODUCT_ETAGS = {};
+    
+    // Productos abiertos desde la búsqueda o un enlace: fuera del catálogo, se piden aparte
+    Object.keys(__PRODUCT_CACHE)
+        .filter(productId => !PRODUCTS.some(product => product.id === productId))
+        .forEach(productId => delete __PRODUCT_CACHE[productId]);
+    
+    const { error } = await loadAllProducts();
+    if (error) {
+        showToast(getErrorMessage(error, 'toast.refresh_error'), 'error');
+    }
+    
+    if (__SELECTED_PRODUCT_SKU && !__PRODUCT_CACHE[__SELECTED_PRODUCT_SKU]) {
+        await loadRouteProduct(__SELECTED_PRODUCT_SKU);
+    }
+    
+    if (__SEARCH.data) {
+        runSearch(__SEARCH.query, __SEARCH.page);
+    }
+    
+    if (__SELECTED_PRODUCT_SKU && __PRODUCT_CACHE[__SELECTED_PRODUCT_SKU]) {
+        // La talla elegida se conserva con su nuevo precio
         const data = __PRODUCT_CACHE[__SELECTED_PRODUCT_SKU];
+        __SELECTED_SIZE = __SELECTED_SIZE
+            ? data.sizes.find(sizeData => sizeData.size === __SELECTED_SIZE.size && sizeData.available) || null
+            : null;
+        
+        updateDetailPrice(__SELECTED_SIZE ? __SELECTED_SIZE.price : null, !__SELECTED_SIZE);
+        renderPriceBreakdown(__SELECTED_SIZE);
+        
+        if (__SELECTED_SIZE) {
+            loadPriceHistory(__SELECTED_PRODUCT_SKU, __SELECTED_SIZE);
+        } else {
+            elements.historySection.style.display = 'none';
+        }
+        
+        // Si la talla se agotó, renderAllSizes vuelve a la del perfil
         renderAllSizes(data.sizes);
     }
     
-    showToast(`Moneda cambiada a ${__CURRENCY}`, 'info');
+    Cart.reconcile(__PRODUCT_CACHE);
+    renderCart();
 }
 
 function handleAddToCart() {
@@ -426,12 +1445,306 @@ function handleAddToCart() {
     const quantity = parseInt(elements.quantityInput.value);
     const data = __PRODUCT_CACHE[__SELECTED_PRODUCT_SKU];
     
+    if (data._fallback) {
+        showToast(I18n.t('toast.demo_not_buyable'), 'warning');
+        return;
+    }
+    
+    Cart.addItem({
+        productId: __SELECTED_PRODUCT_SKU,
+        title: data.title,
+        image: data.image,
+        size: __SELECTED_SIZE.size,
+        price: __SELECTED_SIZE.price,
+        quote: getQuotedPrice(__SELECTED_SIZE.price, data),
+        quantity,
+        priceSource: 'live',
+        dataTimestamp: data.lastUpdated
+    });
+    
     showToast(
-        `Agregado al carrito: ${data.title} (${__SELECTED_SIZE.size}) x${quantity} - ${formatPrice(__SELECTED_SIZE.price)}`, 
+        I18n.t('toast.added_to_cart', {
+            title: data.title,
+            size: getSizeLabel(__SELECTED_SIZE),
+            quantity,
+            price: formatPrice(__SELECTED_SIZE.price, __CURRENCY, getQuoteRates(data))
+        }),
         'success'
     );
 }
 
+// Cart Drawer
+function openCart() {
+    renderCart();
+    elements.cartDrawer.classList.add('open');
+    elements.cartBackdrop.classList.add('open');
+    elements.cartDrawer.setAttribute('aria-hidden', 'false');
+}
+
+function closeCart() {
+    elements.cartDrawer.classList.remove('open');
+    elements.cartBackdrop.classList.remove('open');
+    elements.cartDrawer.setAttribute('aria-hidden', 'true');
+}
+
+function renderCart() {
+    const lines = Cart.getLines();
+    
+    elements.cartCount.textContent = Cart.getItemCount();
+    elements.cartSubtotal.textContent = lines.length > 0 ? formatDualPrice(Cart.getSubtotal()) : '--';
+    elements.cartClearBtn.disabled = lines.length === 0;
+    elements.checkoutBtn.disabled = !lines.some(line => !line.soldOut);
+    
+    const container = elements.cartLines;
+    container.innerHTML = '';
+    
+    if (lines.length === 0) {
+        container.innerHTML = `<p class="cart-empty">${I18n.t('cart.empty')}</p>`;
+        return;
+    }
+    
+    // Título, imagen y talla vienen de la API (o de otra pestaña vía localStorage): texto y atributos
+    lines.forEach(line => {
+        const row = document.createElement('div');
+        row.className = `cart-line ${line.soldOut ? 'sold-out' : ''}`;
+        
+        const image = document.createElement('img');
+        image.className = 'cart-line-image';
+        image.setAttribute('src', line.image || SEARCH_FALLBACK_IMAGE);
+        image.setAttribute('alt', line.title || '');
+        
+        const info = document.createElement('div');
+        info.className = 'cart-line-info';
+        info.append(
+            createTextElement('span', 'cart-line-title', line.title),
+            createTextElement('span', 'cart-line-size', `${line.size} · ${I18n.t('cart.each', { price: formatPrice(line.unitPrice) })}`)
+        );
+        
+        if (line.soldOut) {
+            info.appendChild(createTextElement('span', 'cart-line-flag', I18n.t('cart.sold_out')));
+        }
+        
+        if (line.priceChanged) {
+            const flag = createTextElement('span', 'cart-line-flag', `${I18n.t('cart.price_changed', { price: formatPrice(line.previousPrice) })} `);
+            const ackBtn = createTextElement('button', 'cart-line-ack', I18n.t('cart.ack'));
+            ackBtn.addEventListener('click', () => Cart.acknowledge(line.key));
+            flag.appendChild(ackBtn);
+            info.appendChild(flag);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'cart-line-actions';
+        const quantity = document.createElement('input');
+        quantity.type = 'number';
+        quantity.className = 'quantity-input cart-line-quantity';
+        quantity.value = line.quantity;
+        quantity.min = 1;
+        quantity.max = CART_MAX_QUANTITY;
+        quantity.setAttribute('aria-label', I18n.t('cart.quantity'));
+        quantity.addEventListener('change', e => Cart.updateQuantity(line.key, e.target.value));
+        const removeBtn = createTextElement('button', 'cart-line-remove', I18n.t('cart.remove'));
+        removeBtn.addEventListener('click', () => Cart.removeItem(line.key));
+        actions.append(quantity, removeBtn);
+        info.appendChild(actions);
+        
+        const total = createTextElement('span', 'cart-line-total', line.soldOut ? '--' : formatPrice(line.unitPrice * line.quantity));
+        
+        row.append(image, info, total);
+        container.appendChild(row);
+    });
+}
+
+// Watchlist - avisos de precio y reposición
+function renderWatchSection(productId) {
+    const data = __PRODUCT_CACHE[productId];
+    
+    elements.watchSizeSelect.replaceChildren(...[...data.sizes]
+        .sort((a, b) => getSizeSortKey(a) - getSizeSortKey(b))
+        .map(sizeData => {
+            const option = createTextElement('option', '', `${getSizeLabel(sizeData)}${sizeData.available ? '' : I18n.t('watch.sold_out_suffix')}`);
+            option.value = sizeData.size;
+            return option;
+        }));
+    elements.watchPriceInput.value = '';
+    elements.watchRestockInput.checked = false;
+    
+    renderWatchList(productId);
+}
+
+function renderWatchList(productId) {
+    const watches = Watchlist.getWatches(productId);
+    elements.watchList.innerHTML = '';
+    
+    watches.forEach(watch => {
+        const conditions = [];
+        if (watch.targetPrice !== null) conditions.push(`≤ ${formatMoney(watch.targetPrice, watch.targetCurrency || 'USD')}`);
+        if (watch.notifyRestock) conditions.push(I18n.t('watch.restock_condition'));
+        
+        const item = document.createElement('li');
+        item.className = 'watch-item';
+        const removeBtn = createTextElement('button', 'cart-line-remove', I18n.t('watch.remove'));
+        removeBtn.addEventListener('click', () => Watchlist.removeWatch(watch.key));
+        item.append(createTextElement('span', '', `${watch.size}: ${conditions.join(' · ')}`), removeBtn);
+        elements.watchList.appendChild(item);
+    });
+}
+
+async function handleWatchSubmit(e) {
+    e.preventDefault();
+    
+    const data = __PRODUCT_CACHE[__SELECTED_PRODUCT_SKU];
+    const size = elements.watchSizeSelect.value;
+    const sizeData = data.sizes.find(s => s.size === size);
+    const priceValue = parseFloat(elements.watchPriceInput.value);
+    const notifyRestock = elements.watchRestockInput.checked;
+    
+    if (!Number.isFinite(priceValue) && !notifyRestock) {
+        showToast(I18n.t('toast.watch_missing'), 'warning');
+        return;
+    }
+    
+    Watchlist.addWatch({
+        productId: __SELECTED_PRODUCT_SKU,
+        title: data.title,
+        size,
+        // El precio objetivo se guarda en la moneda en que se escribió
+        targetPrice: Number.isFinite(priceValue) ? priceValue : null,
+        targetCurrency: __CURRENCY,
+        notifyRestock,
+        currentState: {
+            available: !!(sizeData && sizeData.available),
+            price: sizeData && sizeData.available ? sizeData.price : 0
+        }
+    });
+    
+    showToast(I18n.t('toast.watching', { title: data.title, size }), 'success');
+    
+    if ('Notification' in window && Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+}
+
+function notifyWatchAlerts(alerts) {
+    alerts.forEach(alert => {
+        const params = { title: alert.watch.title, size: alert.watch.size, price: formatPrice(alert.price) };
+        const message = alert.type === 'restock'
+            ? I18n.t('alert.restock', params)
+            : I18n.t('alert.price', params);
+        
+        showToast(message, 'success');
+        
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification('COURTS', { body: message });
+        }
+    });
+}
+
+// Checkout - resumen del pedido y exportación
+function openCheckout() {
+    __ORDER = buildOrderSummary(Cart.getLines(), __CURRENCY);
+    
+    if (__ORDER.lines.length === 0) {
+        showToast(I18n.t('toast.checkout_empty'), 'warning');
+        return;
+    }
+    
+    renderReceipt(__ORDER);
+    closeCart();
+    elements.checkoutModal.classList.add('open');
+    elements.checkoutModal.setAttribute('aria-hidden', 'false');
+}
+
+function closeCheckout() {
+    elements.checkoutModal.classList.remove('open');
+    elements.checkoutModal.setAttribute('aria-hidden', 'true');
+}
+
+// Las líneas salen del carrito (datos de la API): el recibo se construye con texto, nunca con HTML
+function renderReceipt(order) {
+    const header = document.createElement('div');
+    header.className = 'receipt-header';
+    header.append(
+        createTextElement('h3', '', 'COURTS'),
+        createTextElement('p', '', I18n.t('receipt.order', { reference: order.reference })),
+        createTextElement('p', '', formatDateTime(order.createdAt))
+    );
+    
+    const headRow = document.createElement('tr');
+    ['receipt.product', 'receipt.size', 'receipt.quantity', 'receipt.price', 'receipt.total', 'receipt.source']
+        .forEach(key => headRow.appendChild(createTextElement('th', '', I18n.t(key))));
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    
+    const tbody = document.createElement('tbody');
+    order.lines.forEach(line => {
+        const product = document.createElement('td');
+        product.append(
+            createTextElement('strong', '', line.title),
+            document.createElement('br'),
+            createTextElement('small', '', line.productId)
+        );
+        
+        const source = document.createElement('td');
+        source.appendChild(createTextElement(
+            'span',
+            `receipt-source ${line.priceSource}`,
+            line.priceSource === 'live' ? 'StockX' : I18n.t('receipt.source_demo')
+        ));
+        
+        const row = document.createElement('tr');
+        row.append(
+            product,
+            createTextElement('td', '', line.size),
+            createTextElement('td', '', String(line.quantity)),
+            createTextElement('td', '', formatMoney(line.unitPrice, order.currency)),
+            createTextElement('td', '', formatMoney(line.total, order.currency)),
+            source
+        );
+        tbody.appendChild(row);
+    });
+    
+    const totalLabel = createTextElement('td', '', I18n.t('receipt.total_currency', { currency: order.currency }));
+    totalLabel.colSpan = 4;
+    const totalAmount = createTextElement('td', '', formatMoney(order.subtotal, order.currency));
+    totalAmount.colSpan = 2;
+    const totalRow = document.createElement('tr');
+    totalRow.append(totalLabel, totalAmount);
+    const tfoot = document.createElement('tfoot');
+    tfoot.appendChild(totalRow);
+    
+    const table = document.createElement('table');
+    table.className = 'receipt-table';
+    table.append(thead, tbody, tfoot);
+    
+    const notes = [];
+    if (order.hasDemoPrices) {
+        notes.push(createTextElement('p', 'receipt-note', I18n.t('receipt.demo_note')));
+    }
+    if (order.excludedSoldOut > 0) {
+        notes.push(createTextElement('p', 'receipt-note', I18n.t('receipt.excluded', { count: order.excludedSoldOut })));
+    }
+    
+    elements.receipt.replaceChildren(header, table, ...notes);
+}
+
+async function handleCheckoutAction(format) {
+    if (!__ORDER) return;
+    
+    if (format === 'print') {
+        window.print();
+    } else if (format === 'text') {
+        try {
+            await navigator.clipboard.writeText(orderToText(__ORDER));
+            showToast(I18n.t('toast.copied'), 'success');
+        } catch (error) {
+            showToast(I18n.t('toast.copy_failed'), 'error');
+        }
+    } else {
+        downloadOrderFile(__ORDER, format);
+        showToast(I18n.t('toast.exported', { format: format.toUpperCase() }), 'success');
+    }
+}
+
 // Auto-refresh setup
 function setupAutoRefresh() {
     // Refresh cada hora para datos en tiempo real
@@ -452,17 +1765,65 @@ function setupAutoRefresh() {
 
 // Event Listeners Setup
 function setupEventListeners() {
+    elements.languageSelect.value = I18n.getLocale();
+    elements.languageSelect.addEventListener('change', handleLanguageChange);
+    I18n.onChange(renderLocalizedViews);
     elements.currencySelect.addEventListener('change', handleCurrencyChange);
+    if (!MARKETS.includes(__MARKET)) __MARKET = 'US';
+    if (!CURRENCY_RULES[__CURRENCY]) __CURRENCY = 'USD';
+    renderCurrencyOptions();
+    elements.marketSelect.value = __MARKET;
+    elements.marketSelect.addEventListener('change', handleMarketChange);
+    elements.sizeSystemSelect.value = __SIZE_SYSTEM;
+    elements.sizeSystemSelect.addEventListener('change', handleSizeSystemChange);
+    elements.profileSizeSystem.value = __SIZE_SYSTEM;
+    elements.profileSizeSystem.addEventListener('change', handleSizeSystemChange);
+    elements.profileSize.addEventListener('change', handleProfileSizeChange);
+    Profile.onChange(handleProfileChange);
     elements.refreshBtn.addEventListener('click', refreshProducts);
     elements.backBtn.addEventListener('click', goHome);
+    elements.notFoundHomeBtn.addEventListener('click', goHome);
     elements.homeBtn.addEventListener('click', goHome);
     elements.homeNavBtn.addEventListener('click', goHome);
     
     elements.addToCartBtn.addEventListener('click', handleAddToCart);
     
+    elements.cartBtn.addEventListener('click', openCart);
+    elements.cartCloseBtn.addEventListener('click', closeCart);
+    elements.cartBackdrop.addEventListener('click', closeCart);
+    elements.cartClearBtn.addEventListener('click', () => Cart.clear());
+    Cart.onChange(renderCart);
+    
+    elements.watchForm.addEventListener('submit', handleWatchSubmit);
+    Watchlist.onChange(() => {
+        if (__SELECTED_PRODUCT_SKU) {
+            renderWatchList(__SELECTED_PRODUCT_SKU);
+        }
+    });
+    
+    elements.checkoutBtn.addEventListener('click', openCheckout);
+    elements.checkoutCloseBtn.addEventListener('click', closeCheckout);
+    elements.checkoutModal.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => handleCheckoutAction(button.dataset.export));
+    });
+    
+    [elements.filterMinPrice, elements.filterMaxPrice, elements.filterInStock, elements.filterSize,
+        elements.filterBrand, elements.filterCollection, elements.sortSelect]
+        .forEach(control => control.addEventListener('change', handleFilterChange));
+    elements.filterClearBtn.addEventListener('click', clearFilters);
+    
+    elements.searchForm.addEventListener('submit', handleSearchSubmit);
+    elements.searchClearBtn.addEventListener('click', clearSearch);
+    elements.searchPrevBtn.addEventListener('click', () => runSearch(__SEARCH.query, __SEARCH.page - 1));
+    elements.searchNextBtn.addEventListener('click', () => runSearch(__SEARCH.query, __SEARCH.page + 1));
+    
     // Navegación por teclado
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && elements.detailView.classList.contains('active')) {
+        if (e.key === 'Escape' && elements.checkoutModal.classList.contains('open')) {
+            closeCheckout();
+        } else if (e.key === 'Escape' && elements.cartDrawer.classList.contains('open')) {
+            closeCart();
+        } else if (e.key === 'Escape' && !elements.homeView.classList.contains('active')) {
             goHome();
         }
     });
@@ -472,18 +1833,35 @@ function setupEventListeners() {
 async function initApp() {
     console.log('Initializing COURTS Sneaker Catalog with StockX...');
     
+    I18n.init();
     setupEventListeners();
     setupAutoRefresh();
+    renderCart();
+    
+    // Un enlace con ?currency= se respeta desde la primera carga
+    const { query } = Router.current();
+    if (CURRENCY_RULES[query.currency]) {
+        __CURRENCY = query.currency;
+        elements.currencySelect.value = __CURRENCY;
+    }
     
     try {
+        await Promise.all([loadCatalogConfig(), loadExchangeRates()]);
         await loadAllProducts();
+        Cart.reconcile(__PRODUCT_CACHE);
+        notifyWatchAlerts(Watchlist.check(__PRODUCT_CACHE));
         localStorage.setItem('lastRefresh', Date.now().toString());
         console.log('App initialized successfully');
     } catch (error) {
         console.error('Failed to initialize app:', error);
-        showStatus('Error al cargar el catálogo', 'error');
-        showToast('Error al conectar con StockX', 'error');
+        showStatus(getErrorMessage(error, 'status.catalog_error'), 'error');
+        showToast(I18n.t('toast.connect_error'), 'error');
     }
+    
+    Router.on('/', showHomeRoute);
+    Router.on('/product/:id', showProductRoute);
+    Router.otherwise(() => showNotFound());
+    await Router.start();
 }
 
 // Start the application when DOM is loaded
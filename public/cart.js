@@ -0,0 +1,188 @@
+// COURTS Cart - Carrito persistente
+// Líneas por producto + talla, guardadas en localStorage y sincronizadas entre pestañas
+
+const CART_STORAGE_KEY = 'courts-cart';
+const CART_MAX_QUANTITY = 10;
+
+const Cart = (() => {
+    let lines = loadLines();
+    const listeners = new Set();
+
+    function lineKey(productId, size) {
+        return `${productId}::${size}`;
+    }
+
+    function loadLines() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CART_STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch {
+            return [];
+        }
+    }
+
+    function persist() {
+        localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(lines));
+        notify();
+    }
+
+    function notify() {
+        listeners.forEach(listener => listener(getLines()));
+    }
+
+    function clampQuantity(quantity) {
+        const parsed = parseInt(quantity, 10);
+        if (!Number.isFinite(parsed) || parsed < 1) return 1;
+        return Math.min(parsed, CART_MAX_QUANTITY);
+    }
+
+    function getLines() {
+        return lines.map(line => ({ ...line }));
+    }
+
+    // priceSource: 'live' (StockX) o 'demo' (_fallback); dataTimestamp: lastUpdated del producto.
+    // quote: el importe que vio el cliente y su moneda (getQuotedPrice)
+    function addItem({ productId, title, image, size, price, quote, quantity = 1, priceSource, dataTimestamp }) {
+        // Los precios de demostración no son comprables
+        if (priceSource === 'demo') return null;
+
+        const key = lineKey(productId, size);
+        const existing = lines.find(line => line.key === key);
+
+        if (existing) {
+            existing.quantity = clampQuantity(existing.quantity + quantity);
+            existing.unitPrice = price;
+            existing.quoteCurrency = quote.currency;
+            existing.quotePrice = quote.amount;
+            existing.priceSource = priceSource;
+            existing.dataTimestamp = dataTimestamp;
+        } else {
+            lines.push({
+                key,
+                productId,
+                title,
+                image,
+                size,
+                quantity: clampQuantity(quantity),
+                unitPrice: price,
+                quoteCurrency: quote.currency,
+                quotePrice: quote.amount,
+                priceSource,
+                dataTimestamp,
+                previousPrice: null,
+                priceChanged: false,
+                soldOut: false,
+                addedAt: new Date().toISOString()
+            });
+        }
+
+        persist();
+        return key;
+    }
+
+    function updateQuantity(key, quantity) {
+        const line = lines.find(item => item.key === key);
+        if (!line) return;
+
+        line.quantity = clampQuantity(quantity);
+        persist();
+    }
+
+    function removeItem(key) {
+        lines = lines.filter(line => line.key !== key);
+        persist();
+    }
+
+    function clear() {
+        lines = [];
+        persist();
+    }
+
+    // El cliente vio el aviso de cambio de precio o de talla agotada
+    function acknowledge(key) {
+        const line = lines.find(item => item.key === key);
+        if (!line) return;
+
+        line.previousPrice = null;
+        line.priceChanged = false;
+        persist();
+    }
+
+    // Compara cada línea con los datos recién cargados y marca cambios de
+    // precio (lowest ask) o tallas agotadas. Devuelve las líneas marcadas.
+    function reconcile(productCache) {
+        const flagged = [];
+
+        lines.forEach(line => {
+            const data = productCache[line.productId];
+            // Con datos de demo se conserva el último precio real de la línea
+            if (!data || data._fallback) return;
+
+            const sizeData = data.sizes.find(s => s.size === line.size);
+            const soldOut = !sizeData || !sizeData.available;
+
+            line.soldOut = soldOut;
+            line.priceSource = 'live';
+            line.dataTimestamp = data.lastUpdated;
+
+            if (!soldOut) {
+                // Se compara el importe en la moneda del cliente: en USD cambiaría con cada
+                // tipo de cambio. Otra moneda recalcula el precio con otras reglas (envío,
+                // aranceles, redondeo); eso no es un cambio del mercado y no se avisa
+                const quote = getQuotedPrice(sizeData.price, data);
+                if (quote.currency === line.quoteCurrency && quote.amount !== line.quotePrice) {
+                    line.previousPrice = line.priceChanged ? line.previousPrice : line.unitPrice;
+                    line.priceChanged = true;
+                }
+
+                line.unitPrice = sizeData.price;
+                line.quoteCurrency = quote.currency;
+                line.quotePrice = quote.amount;
+            }
+
+            if (line.soldOut || line.priceChanged) {
+                flagged.push({ ...line });
+            }
+        });
+
+        persist();
+        return flagged;
+    }
+
+    function getItemCount() {
+        return lines.reduce((count, line) => count + line.quantity, 0);
+    }
+
+    // Subtotal en USD (los precios de StockX); las tallas agotadas no suman
+    function getSubtotal() {
+        return lines
+            .filter(line => !line.soldOut)
+            .reduce((total, line) => total + line.unitPrice * line.quantity, 0);
+    }
+
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    // Otra pestaña modificó el carrito
+    window.addEventListener('storage', event => {
+        if (event.key !== CART_STORAGE_KEY) return;
+        lines = loadLines();
+        notify();
+    });
+
+    return {
+        lineKey,
+        getLines,
+        addItem,
+        updateQuantity,
+        removeItem,
+        clear,
+        acknowledge,
+        reconcile,
+        getItemCount,
+        getSubtotal,
+        onChange
+    };
+})();
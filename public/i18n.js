@@ -0,0 +1,116 @@
+// COURTS I18n - Catálogos de mensajes, plurales y formatos según el idioma
+// Cada idioma vive en locales/<código>.js y se registra con I18n.register().
+// El idioma elegido se recuerda en localStorage; si falta una clave se usa el español.
+
+const LOCALE_STORAGE_KEY = 'courts-locale';
+
+const I18n = (() => {
+    const DEFAULT_LOCALE = 'es';
+    // Idioma -> etiqueta BCP 47 para Intl (fechas, números y reglas de plural)
+    const LOCALE_TAGS = { es: 'es-ES', en: 'en-US', pt: 'pt-BR' };
+
+    const catalogs = {};
+    const listeners = new Set();
+    let locale = DEFAULT_LOCALE;
+
+    function register(code, messages) {
+        catalogs[code] = messages;
+    }
+
+    function detectLocale() {
+        const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (saved && catalogs[saved]) return saved;
+
+        const browserLocale = (navigator.language || '').slice(0, 2).toLowerCase();
+        return catalogs[browserLocale] ? browserLocale : DEFAULT_LOCALE;
+    }
+
+    function init() {
+        locale = detectLocale();
+        document.documentElement.lang = locale;
+        apply();
+    }
+
+    function getLocale() {
+        return locale;
+    }
+
+    function getLocaleTag() {
+        return LOCALE_TAGS[locale] || locale;
+    }
+
+    function setLocale(code) {
+        if (!catalogs[code] || code === locale) return;
+
+        locale = code;
+        localStorage.setItem(LOCALE_STORAGE_KEY, code);
+        document.documentElement.lang = code;
+        apply();
+        listeners.forEach(listener => listener(code));
+    }
+
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function lookup(key) {
+        const messages = catalogs[locale] || {};
+        return key in messages ? messages[key] : (catalogs[DEFAULT_LOCALE] || {})[key];
+    }
+
+    function has(key) {
+        return lookup(key) !== undefined;
+    }
+
+    // t('cart.items', { count: 3 }): los mensajes con plural son { one, other, ... }
+    // y la forma la elige Intl.PluralRules con params.count
+    function t(key, params = {}) {
+        let message = lookup(key);
+        if (message === undefined) {
+            console.warn(`Falta traducción: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(getLocaleTag()).select(Number(params.count) || 0);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    function formatDate(date, options) {
+        return new Intl.DateTimeFormat(getLocaleTag(), options).format(date);
+    }
+
+    function formatNumber(value, options) {
+        return new Intl.NumberFormat(getLocaleTag(), options).format(value);
+    }
+
+    // Textos fijos del HTML: data-i18n (texto), data-i18n-placeholder, data-i18n-title
+    // y data-i18n-aria-label; data-i18n-params (JSON) aporta los valores a interpolar
+    function apply(root = document) {
+        const attributes = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAriaLabel: 'aria-label' };
+
+        root.querySelectorAll('[data-i18n], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]').forEach(element => {
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+
+            if (element.dataset.i18n) {
+                element.textContent = t(element.dataset.i18n, params);
+            }
+
+            Object.entries(attributes).forEach(([datasetKey, attribute]) => {
+                if (element.dataset[datasetKey]) {
+                    element.setAttribute(attribute, t(element.dataset[datasetKey], params));
+                }
+            });
+        });
+    }
+
+    function listLocales() {
+        return Object.keys(catalogs);
+    }
+
+    return { register, init, t, has, getLocale, getLocaleTag, setLocale, onChange, formatDate, formatNumber, apply, listLocales };
+})();
@@ -0,0 +1,241 @@
+// Catálogo de mensajes: inglés
+
+I18n.register('en', {
+    'language.name': 'English',
+
+    // Navegación
+    'nav.refresh': 'Refresh now',
+    'nav.refresh_title': 'Refresh data',
+    'nav.cart_title': 'View cart',
+    'nav.market_label': 'Market the prices come from',
+    'nav.currency_label': 'Select currency',
+    'nav.language_label': 'Language',
+
+    'market.US': 'StockX US',
+    'market.GB': 'StockX UK',
+    'market.DE': 'StockX Germany',
+    'market.FR': 'StockX France',
+    'market.JP': 'StockX Japan',
+
+    'rates.date': 'Rates: {date}',
+    'rates.reference': 'Reference rates',
+
+    // Catálogo y búsqueda
+    'home.title': 'Sneaker Catalog',
+    'home.subtitle': 'Discover our exclusive Anta collection',
+    'search.label': 'Search sneakers',
+    'search.placeholder': 'Search StockX by name or SKU...',
+    'search.submit': 'Search',
+    'search.clear': 'Clear',
+    'search.prev': '← Previous',
+    'search.next': 'Next →',
+    'search.page': 'Page {page}',
+    'search.results_count': {
+        one: '{count} result for "{query}"',
+        other: '{count} results for "{query}"'
+    },
+    'search.results': 'Results for "{query}"',
+    'search.empty': 'No sneakers found',
+    'search.no_offers': 'No offers',
+    'search.error': 'Search failed',
+    'search.unavailable': 'Search unavailable - API not configured',
+
+    'filters.price_label': 'Price',
+    'filters.min': 'Min',
+    'filters.max': 'Max',
+    'filters.in_stock': 'In stock only',
+    'filters.size_label': 'Size',
+    'filters.any_size': 'Any size',
+    'filters.brand_label': 'Brand',
+    'filters.any_brand': 'All brands',
+    'filters.collection_label': 'Collection',
+    'filters.any_collection': 'All collections',
+    'filters.sort_label': 'Sort by',
+    'filters.clear': 'Clear filters',
+    'filters.empty': 'No models match these filters',
+    'sort.featured': 'Featured',
+    'sort.price': 'Lowest price',
+    'sort.sizes': 'Most sizes available',
+    'sort.updated': 'Recently updated',
+    'sort.orders': 'Most ordered this week',
+    'filters.count': {
+        one: '{shown} of {count} model',
+        other: '{shown} of {count} models'
+    },
+
+    'profile.size_label': 'My size',
+    'profile.no_size': 'No saved size',
+
+    'card.from': 'From {price}',
+    'card.sizes_available': {
+        one: '{count} size available',
+        other: '{count} sizes available'
+    },
+    'card.my_size_price': 'Your size {size}: {price}',
+    'card.my_size_sold_out': 'Sold out in your size {size}',
+    'card.sold_out_badge': 'Sold out in your size',
+    'card.demo_badge': 'Demo',
+    'card.api_badge': 'Live API',
+
+    // Detalle
+    'detail.back': 'Back to catalog',
+    'detail.home': 'Home',
+    'detail.badge_demo': 'Demo Mode',
+    'detail.badge_api': 'StockX API',
+    'detail.select_size': 'Select a size',
+    'detail.sold_out': 'Sold out',
+    'detail.sizes_title': 'Available sizes',
+    'detail.size_system_label': 'Size system',
+    'detail.quantity': 'Quantity:',
+    'detail.add_to_cart': 'Add to cart',
+    'detail.last_updated': 'Last updated:',
+    'detail.sku': 'SKU:',
+
+    'size_category.women': 'Women',
+    'size_category.youth': 'Youth',
+    'size_category.child': 'Kids',
+    'sizes.empty': 'Sizes not available right now',
+    'sizes.sold_out_title': 'Size sold out - No stock',
+
+    'price.unavailable': 'Not available',
+    'price.reference': '≈ {price}',
+    'date.unknown': 'Unknown date',
+
+    'breakdown.toggle': 'See price breakdown',
+    'breakdown.market': 'Base price from the {market} market ({currency})',
+    'breakdown.item': 'Item',
+    'breakdown.shipping': 'Shipping',
+    'breakdown.duties': 'Duties',
+    'breakdown.taxes': 'Taxes',
+    'breakdown.rounding': 'Rounding',
+    'breakdown.total': 'Total',
+
+    'demo.reason.no_api_key': 'StockX API not configured',
+    'demo.reason.upstream_error': 'StockX is not responding',
+    'demo.reason.not_found': 'Product not found on StockX',
+    'demo.notice_title': 'Demo prices:',
+    'demo.notice_body': '{reason}. These are not real prices and cannot be added to the cart.',
+
+    'history.title': 'Price history',
+    'history.loading': 'Loading history...',
+    'history.unavailable': 'History not available',
+    'history.empty': 'No history for this size yet',
+
+    'watch.title': 'Notify me',
+    'watch.size_label': 'Size to watch',
+    'watch.price_label': 'Target price',
+    'watch.restock': 'When it is back in stock',
+    'watch.submit': 'Watch size',
+    'watch.sold_out_suffix': ' (sold out)',
+    'watch.restock_condition': 'restock',
+    'watch.remove': 'Remove',
+
+    'notfound.title': 'Product not found',
+    'notfound.product': 'We could not find the sneaker "{id}". It may no longer be in the catalog.',
+    'notfound.page': 'The page you are looking for does not exist.',
+
+    // Carrito y pedido
+    'cart.title': 'Your cart',
+    'cart.close': 'Close cart',
+    'cart.subtotal': 'Subtotal',
+    'cart.checkout': 'Check out',
+    'cart.clear': 'Empty cart',
+    'cart.empty': 'Your cart is empty',
+    'cart.each': '{price} each',
+    'cart.sold_out': 'Size sold out',
+    'cart.price_changed': 'Price updated (was {price})',
+    'cart.ack': 'Got it',
+    'cart.quantity': 'Quantity',
+    'cart.remove': 'Remove',
+
+    'checkout.title': 'Order summary',
+    'checkout.close': 'Close summary',
+    'checkout.json': 'Download JSON',
+    'checkout.csv': 'Download CSV',
+    'checkout.text': 'Copy message',
+    'checkout.print': 'Print receipt',
+
+    'receipt.order': 'Order {reference}',
+    'receipt.product': 'Product',
+    'receipt.size': 'Size',
+    'receipt.quantity': 'Qty',
+    'receipt.price': 'Price',
+    'receipt.total': 'Total',
+    'receipt.source': 'Source',
+    'receipt.source_demo': 'Demo',
+    'receipt.total_currency': 'Total ({currency})',
+    'receipt.demo_note': 'Includes demo prices: confirm before charging.',
+    'receipt.excluded': {
+        one: '{count} sold-out item left out of the order.',
+        other: '{count} sold-out items left out of the order.'
+    },
+
+    'order.text_title': 'Order {reference}',
+    'order.text_each': 'each',
+    'order.text_demo_price': '[demo price]',
+    'order.text_total': 'Total: {amount}',
+    'order.text_demo_note': 'Some prices are demo data and must be confirmed.',
+    'order.text_live_note': 'Live prices from StockX.',
+
+    // Avisos y estado
+    'loading.text': 'Loading products...',
+    'status.connecting': 'Connecting to the StockX API...',
+    'status.catalog_error': 'Could not load the catalog',
+    'toast.connect_error': 'Could not connect to StockX',
+    'toast.product_fallback': 'Could not load {name} - Using fallback data',
+    'toast.load_error': 'Could not load {title}',
+    'toast.cart_flagged': {
+        one: '{count} cart item changed price or sold out',
+        other: '{count} cart items changed price or sold out'
+    },
+    'toast.refreshed': {
+        one: 'StockX data updated ({count} change)',
+        other: 'StockX data updated ({count} changes)'
+    },
+    'toast.no_changes': 'No changes on StockX',
+    'toast.refresh_error': 'Could not refresh data',
+    'toast.size_selected': 'Size {size} selected - {price}',
+    'toast.currency_changed': 'Currency changed to {currency}',
+    'toast.market_changed': 'Prices from the {market} market',
+    'toast.language_changed': 'Language: {language}',
+    'toast.profile_size': 'Prices for your size {size}',
+    'toast.demo_not_buyable': 'Demo prices cannot be purchased',
+    'toast.added_to_cart': 'Added to cart: {title} ({size}) x{quantity} - {price}',
+    'toast.watch_missing': 'Enter a target price or turn on the restock alert',
+    'toast.watching': 'Watching {title} ({size})',
+    'toast.checkout_empty': 'No items available for the order',
+    'toast.copied': 'Order message copied',
+    'toast.copy_failed': 'Could not copy the message',
+    'toast.exported': 'Order exported as {format}',
+    'alert.restock': '{title} ({size}) is back in stock - {price}',
+    'alert.price': '{title} ({size}) dropped to {price}',
+
+    // Códigos de error de las funciones (lib/errors.js)
+    'errors.invalid_request': 'The request is not valid',
+    'errors.invalid_json': 'The request is not valid',
+    'errors.missing_ids': 'No product was given',
+    'errors.too_many_ids': 'Too many products in a single request',
+    'errors.missing_product_param': 'The product to look up is missing',
+    'errors.unknown_source': 'Unknown data source',
+    'errors.unsupported_market': 'Market not available',
+    'errors.unsupported_currency': 'Currency not available',
+    'errors.empty_query': 'Type something to search',
+    'errors.search_not_supported': 'Search is not available for this source',
+    'errors.search_disabled': 'Search is turned off',
+    'errors.search_unavailable': 'Search is not available right now',
+    'errors.product_not_allowed': 'This product is not in the catalog',
+    'errors.forbidden': 'Access not allowed',
+    'errors.product_not_found': 'Product not found',
+    'errors.api_key_missing': 'The StockX API is not configured',
+    'errors.config_error': 'Server configuration error',
+    'errors.upstream_unavailable': 'StockX is not responding',
+    'errors.upstream_quota_exhausted': 'StockX request limit reached, try again later',
+    'errors.rate_limited': 'Too many requests, please wait a moment',
+    'errors.method_not_allowed': 'Operation not allowed',
+    'errors.invalid_date_range': 'Invalid date range',
+    'errors.history_unavailable': 'History not available',
+    'errors.catalog_unavailable': 'Catalog not available',
+    'errors.rates_unavailable': 'Exchange rates not available',
+    'errors.processing_error': 'Error processing StockX data',
+    'errors.internal_error': 'Internal server error'
+});
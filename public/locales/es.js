@@ -0,0 +1,241 @@
+// Catálogo de mensajes: español (idioma por defecto y respaldo de los demás)
+
+I18n.register('es', {
+    'language.name': 'Español',
+
+    // Navegación
+    'nav.refresh': 'Actualizar ahora',
+    'nav.refresh_title': 'Actualizar datos',
+    'nav.cart_title': 'Ver carrito',
+    'nav.market_label': 'Mercado de origen de los precios',
+    'nav.currency_label': 'Seleccionar moneda',
+    'nav.language_label': 'Idioma',
+
+    'market.US': 'StockX US',
+    'market.GB': 'StockX UK',
+    'market.DE': 'StockX Alemania',
+    'market.FR': 'StockX Francia',
+    'market.JP': 'StockX Japón',
+
+    'rates.date': 'Tasas: {date}',
+    'rates.reference': 'Tasas de referencia',
+
+    // Catálogo y búsqueda
+    'home.title': 'Catálogo de Sneakers',
+    'home.subtitle': 'Descubre nuestra colección exclusiva de Anta',
+    'search.label': 'Buscar sneakers',
+    'search.placeholder': 'Buscar en StockX por nombre o SKU...',
+    'search.submit': 'Buscar',
+    'search.clear': 'Limpiar',
+    'search.prev': '← Anterior',
+    'search.next': 'Siguiente →',
+    'search.page': 'Página {page}',
+    'search.results_count': {
+        one: '{count} resultado para "{query}"',
+        other: '{count} resultados para "{query}"'
+    },
+    'search.results': 'Resultados para "{query}"',
+    'search.empty': 'No se encontraron sneakers',
+    'search.no_offers': 'Sin ofertas',
+    'search.error': 'Error en la búsqueda',
+    'search.unavailable': 'Búsqueda no disponible - API no configurada',
+
+    'filters.price_label': 'Precio',
+    'filters.min': 'Mín.',
+    'filters.max': 'Máx.',
+    'filters.in_stock': 'Solo con stock',
+    'filters.size_label': 'Talla',
+    'filters.any_size': 'Cualquier talla',
+    'filters.brand_label': 'Marca',
+    'filters.any_brand': 'Todas las marcas',
+    'filters.collection_label': 'Colección',
+    'filters.any_collection': 'Todas las colecciones',
+    'filters.sort_label': 'Ordenar',
+    'filters.clear': 'Quitar filtros',
+    'filters.empty': 'Ningún modelo coincide con estos filtros',
+    'sort.featured': 'Destacados',
+    'sort.price': 'Menor precio',
+    'sort.sizes': 'Más tallas disponibles',
+    'sort.updated': 'Actualizados recientemente',
+    'sort.orders': 'Más pedidos esta semana',
+    'filters.count': {
+        one: '{shown} de {count} modelo',
+        other: '{shown} de {count} modelos'
+    },
+
+    'profile.size_label': 'Mi talla',
+    'profile.no_size': 'Sin talla guardada',
+
+    'card.from': 'Desde {price}',
+    'card.sizes_available': {
+        one: '{count} talla disponible',
+        other: '{count} tallas disponibles'
+    },
+    'card.my_size_price': 'Tu talla {size}: {price}',
+    'card.my_size_sold_out': 'Agotado en tu talla {size}',
+    'card.sold_out_badge': 'Agotado en tu talla',
+    'card.demo_badge': 'Demo',
+    'card.api_badge': 'API Real',
+
+    // Detalle
+    'detail.back': 'Volver al catálogo',
+    'detail.home': 'Inicio',
+    'detail.badge_demo': 'Modo Demo',
+    'detail.badge_api': 'StockX API',
+    'detail.select_size': 'Selecciona una talla',
+    'detail.sold_out': 'Agotado',
+    'detail.sizes_title': 'Tallas disponibles',
+    'detail.size_system_label': 'Sistema de tallas',
+    'detail.quantity': 'Cantidad:',
+    'detail.add_to_cart': 'Agregar al carrito',
+    'detail.last_updated': 'Última actualización:',
+    'detail.sku': 'SKU:',
+
+    'size_category.women': 'Mujer',
+    'size_category.youth': 'Youth',
+    'size_category.child': 'Niño',
+    'sizes.empty': 'Tallas no disponibles por ahora',
+    'sizes.sold_out_title': 'Talla agotada - Sin stock',
+
+    'price.unavailable': 'No disponible',
+    'price.reference': '≈ {price}',
+    'date.unknown': 'Fecha desconocida',
+
+    'breakdown.toggle': 'Ver desglose del precio',
+    'breakdown.market': 'Precio base del mercado {market} ({currency})',
+    'breakdown.item': 'Producto',
+    'breakdown.shipping': 'Envío',
+    'breakdown.duties': 'Aranceles',
+    'breakdown.taxes': 'Impuestos',
+    'breakdown.rounding': 'Redondeo',
+    'breakdown.total': 'Total',
+
+    'demo.reason.no_api_key': 'API de StockX no configurada',
+    'demo.reason.upstream_error': 'StockX no responde',
+    'demo.reason.not_found': 'Producto no encontrado en StockX',
+    'demo.notice_title': 'Precios de demostración:',
+    'demo.notice_body': '{reason}. No son precios reales y no se pueden agregar al carrito.',
+
+    'history.title': 'Historial de precio',
+    'history.loading': 'Cargando historial...',
+    'history.unavailable': 'Historial no disponible',
+    'history.empty': 'Aún no hay historial para esta talla',
+
+    'watch.title': 'Avísame',
+    'watch.size_label': 'Talla a vigilar',
+    'watch.price_label': 'Precio objetivo',
+    'watch.restock': 'Cuando vuelva a haber stock',
+    'watch.submit': 'Vigilar talla',
+    'watch.sold_out_suffix': ' (agotada)',
+    'watch.restock_condition': 'reposición',
+    'watch.remove': 'Quitar',
+
+    'notfound.title': 'Producto no encontrado',
+    'notfound.product': 'No encontramos la zapatilla "{id}". Puede que ya no esté en el catálogo.',
+    'notfound.page': 'La página que buscas no existe.',
+
+    // Carrito y pedido
+    'cart.title': 'Tu carrito',
+    'cart.close': 'Cerrar carrito',
+    'cart.subtotal': 'Subtotal',
+    'cart.checkout': 'Finalizar pedido',
+    'cart.clear': 'Vaciar carrito',
+    'cart.empty': 'Tu carrito está vacío',
+    'cart.each': '{price} c/u',
+    'cart.sold_out': 'Talla agotada',
+    'cart.price_changed': 'Precio actualizado (antes {price})',
+    'cart.ack': 'Entendido',
+    'cart.quantity': 'Cantidad',
+    'cart.remove': 'Quitar',
+
+    'checkout.title': 'Resumen del pedido',
+    'checkout.close': 'Cerrar resumen',
+    'checkout.json': 'Descargar JSON',
+    'checkout.csv': 'Descargar CSV',
+    'checkout.text': 'Copiar mensaje',
+    'checkout.print': 'Imprimir recibo',
+
+    'receipt.order': 'Pedido {reference}',
+    'receipt.product': 'Producto',
+    'receipt.size': 'Talla',
+    'receipt.quantity': 'Cant.',
+    'receipt.price': 'Precio',
+    'receipt.total': 'Total',
+    'receipt.source': 'Origen',
+    'receipt.source_demo': 'Demo',
+    'receipt.total_currency': 'Total ({currency})',
+    'receipt.demo_note': 'Incluye precios de demostración: confirmar antes de cobrar.',
+    'receipt.excluded': {
+        one: '{count} artículo agotado excluido del pedido.',
+        other: '{count} artículos agotados excluidos del pedido.'
+    },
+
+    'order.text_title': 'Pedido {reference}',
+    'order.text_each': 'c/u',
+    'order.text_demo_price': '[precio demo]',
+    'order.text_total': 'Total: {amount}',
+    'order.text_demo_note': 'Algunos precios son datos de demostración y deben confirmarse.',
+    'order.text_live_note': 'Precios en tiempo real de StockX.',
+
+    // Avisos y estado
+    'loading.text': 'Cargando productos...',
+    'status.connecting': 'Conectando con StockX API...',
+    'status.catalog_error': 'Error al cargar el catálogo',
+    'toast.connect_error': 'Error al conectar con StockX',
+    'toast.product_fallback': 'Error cargando {name} - Usando datos de respaldo',
+    'toast.load_error': 'Error cargando {title}',
+    'toast.cart_flagged': {
+        one: '{count} artículo del carrito cambió de precio o se agotó',
+        other: '{count} artículos del carrito cambiaron de precio o se agotaron'
+    },
+    'toast.refreshed': {
+        one: 'Datos de StockX actualizados ({count} cambio)',
+        other: 'Datos de StockX actualizados ({count} cambios)'
+    },
+    'toast.no_changes': 'Sin cambios en StockX',
+    'toast.refresh_error': 'Error al actualizar datos',
+    'toast.size_selected': 'Talla {size} seleccionada - {price}',
+    'toast.currency_changed': 'Moneda cambiada a {currency}',
+    'toast.market_changed': 'Precios del mercado {market}',
+    'toast.language_changed': 'Idioma: {language}',
+    'toast.profile_size': 'Precios para tu talla {size}',
+    'toast.demo_not_buyable': 'Los precios de demostración no se pueden comprar',
+    'toast.added_to_cart': 'Agregado al carrito: {title} ({size}) x{quantity} - {price}',
+    'toast.watch_missing': 'Indica un precio objetivo o activa el aviso de reposición',
+    'toast.watching': 'Vigilando {title} ({size})',
+    'toast.checkout_empty': 'No hay artículos disponibles para el pedido',
+    'toast.copied': 'Mensaje del pedido copiado',
+    'toast.copy_failed': 'No se pudo copiar el mensaje',
+    'toast.exported': 'Pedido exportado en {format}',
+    'alert.restock': '{title} ({size}) vuelve a tener stock - {price}',
+    'alert.price': '{title} ({size}) bajó a {price}',
+
+    // Códigos de error de las funciones (lib/errors.js)
+    'errors.invalid_request': 'La petición no es válida',
+    'errors.invalid_json': 'La petición no es válida',
+    'errors.missing_ids': 'No se indicó ningún producto',
+    'errors.too_many_ids': 'Demasiados productos en una sola petición',
+    'errors.missing_product_param': 'Falta el producto a consultar',
+    'errors.unknown_source': 'Origen de datos desconocido',
+    'errors.unsupported_market': 'Mercado no disponible',
+    'errors.unsupported_currency': 'Moneda no disponible',
+    'errors.empty_query': 'Escribe algo para buscar',
+    'errors.search_not_supported': 'La búsqueda no está disponible para este origen',
+    'errors.search_disabled': 'La búsqueda está desactivada',
+    'errors.search_unavailable': 'La búsqueda no está disponible ahora',
+    'errors.product_not_allowed': 'Este producto no está en el catálogo',
+    'errors.forbidden': 'Acceso no permitido',
+    'errors.product_not_found': 'Producto no encontrado',
+    'errors.api_key_missing': 'La API de StockX no está configurada',
+    'errors.config_error': 'Error de configuración del servidor',
+    'errors.upstream_unavailable': 'StockX no responde',
+    'errors.upstream_quota_exhausted': 'Límite de consultas a StockX alcanzado, prueba más tarde',
+    'errors.rate_limited': 'Demasiadas peticiones, espera un momento',
+    'errors.method_not_allowed': 'Operación no permitida',
+    'errors.invalid_date_range': 'Rango de fechas no válido',
+    'errors.history_unavailable': 'Historial no disponible',
+    'errors.catalog_unavailable': 'Catálogo no disponible',
+    'errors.rates_unavailable': 'Tipos de cambio no disponibles',
+    'errors.processing_error': 'Error procesando los datos de StockX',
+    'errors.internal_error': 'Error interno del servidor'
+});
@@ -0,0 +1,241 @@
+// Catálogo de mensajes: portugués (Brasil)
+
+I18n.register('pt', {
+    'language.name': 'Português',
+
+    // Navegación
+    'nav.refresh': 'Atualizar agora',
+    'nav.refresh_title': 'Atualizar dados',
+    'nav.cart_title': 'Ver carrinho',
+    'nav.market_label': 'Mercado de origem dos preços',
+    'nav.currency_label': 'Selecionar moeda',
+    'nav.language_label': 'Idioma',
+
+    'market.US': 'StockX EUA',
+    'market.GB': 'StockX Reino Unido',
+    'market.DE': 'StockX Alemanha',
+    'market.FR': 'StockX França',
+    'market.JP': 'StockX Japão',
+
+    'rates.date': 'Câmbio: {date}',
+    'rates.reference': 'Câmbio de referência',
+
+    // Catálogo y búsqueda
+    'home.title': 'Catálogo de Sneakers',
+    'home.subtitle': 'Descubra nossa coleção exclusiva da Anta',
+    'search.label': 'Buscar sneakers',
+    'search.placeholder': 'Buscar na StockX por nome ou SKU...',
+    'search.submit': 'Buscar',
+    'search.clear': 'Limpar',
+    'search.prev': '← Anterior',
+    'search.next': 'Próxima →',
+    'search.page': 'Página {page}',
+    'search.results_count': {
+        one: '{count} resultado para "{query}"',
+        other: '{count} resultados para "{query}"'
+    },
+    'search.results': 'Resultados para "{query}"',
+    'search.empty': 'Nenhum sneaker encontrado',
+    'search.no_offers': 'Sem ofertas',
+    'search.error': 'Erro na busca',
+    'search.unavailable': 'Busca indisponível - API não configurada',
+
+    'filters.price_label': 'Preço',
+    'filters.min': 'Mín.',
+    'filters.max': 'Máx.',
+    'filters.in_stock': 'Somente com estoque',
+    'filters.size_label': 'Tamanho',
+    'filters.any_size': 'Qualquer tamanho',
+    'filters.brand_label': 'Marca',
+    'filters.any_brand': 'Todas as marcas',
+    'filters.collection_label': 'Coleção',
+    'filters.any_collection': 'Todas as coleções',
+    'filters.sort_label': 'Ordenar',
+    'filters.clear': 'Limpar filtros',
+    'filters.empty': 'Nenhum modelo corresponde a estes filtros',
+    'sort.featured': 'Destaques',
+    'sort.price': 'Menor preço',
+    'sort.sizes': 'Mais tamanhos disponíveis',
+    'sort.updated': 'Atualizados recentemente',
+    'sort.orders': 'Mais pedidos nesta semana',
+    'filters.count': {
+        one: '{shown} de {count} modelo',
+        other: '{shown} de {count} modelos'
+    },
+
+    'profile.size_label': 'Meu tamanho',
+    'profile.no_size': 'Nenhum tamanho salvo',
+
+    'card.from': 'A partir de {price}',
+    'card.sizes_available': {
+        one: '{count} tamanho disponível',
+        other: '{count} tamanhos disponíveis'
+    },
+    'card.my_size_price': 'Seu tamanho {size}: {price}',
+    'card.my_size_sold_out': 'Esgotado no seu tamanho {size}',
+    'card.sold_out_badge': 'Esgotado no seu tamanho',
+    'card.demo_badge': 'Demo',
+    'card.api_badge': 'API Real',
+
+    // Detalle
+    'detail.back': 'Voltar ao catálogo',
+    'detail.home': 'Início',
+    'detail.badge_demo': 'Modo Demo',
+    'detail.badge_api': 'StockX API',
+    'detail.select_size': 'Selecione um tamanho',
+    'detail.sold_out': 'Esgotado',
+    'detail.sizes_title': 'Tamanhos disponíveis',
+    'detail.size_system_label': 'Sistema de tamanhos',
+    'detail.quantity': 'Quantidade:',
+    'detail.add_to_cart': 'Adicionar ao carrinho',
+    'detail.last_updated': 'Última atualização:',
+    'detail.sku': 'SKU:',
+
+    'size_category.women': 'Feminino',
+    'size_category.youth': 'Youth',
+    'size_category.child': 'Infantil',
+    'sizes.empty': 'Tamanhos indisponíveis no momento',
+    'sizes.sold_out_title': 'Tamanho esgotado - Sem estoque',
+
+    'price.unavailable': 'Indisponível',
+    'price.reference': '≈ {price}',
+    'date.unknown': 'Data desconhecida',
+
+    'breakdown.toggle': 'Ver detalhamento do preço',
+    'breakdown.market': 'Preço base do mercado {market} ({currency})',
+    'breakdown.item': 'Produto',
+    'breakdown.shipping': 'Frete',
+    'breakdown.duties': 'Tarifas de importação',
+    'breakdown.taxes': 'Impostos',
+    'breakdown.rounding': 'Arredondamento',
+    'breakdown.total': 'Total',
+
+    'demo.reason.no_api_key': 'API da StockX não configurada',
+    'demo.reason.upstream_error': 'A StockX não está respondendo',
+    'demo.reason.not_found': 'Produto não encontrado na StockX',
+    'demo.notice_title': 'Preços de demonstração:',
+    'demo.notice_body': '{reason}. Não são preços reais e não podem ser adicionados ao carrinho.',
+
+    'history.title': 'Histórico de preço',
+    'history.loading': 'Carregando histórico...',
+    'history.unavailable': 'Histórico indisponível',
+    'history.empty': 'Ainda não há histórico para este tamanho',
+
+    'watch.title': 'Avise-me',
+    'watch.size_label': 'Tamanho a acompanhar',
+    'watch.price_label': 'Preço desejado',
+    'watch.restock': 'Quando voltar ao estoque',
+    'watch.submit': 'Acompanhar tamanho',
+    'watch.sold_out_suffix': ' (esgotado)',
+    'watch.restock_condition': 'reposição',
+    'watch.remove': 'Remover',
+
+    'notfound.title': 'Produto não encontrado',
+    'notfound.product': 'Não encontramos o tênis "{id}". Talvez ele não esteja mais no catálogo.',
+    'notfound.page': 'A página que você procura não existe.',
+
+    // Carrito y pedido
+    'cart.title': 'Seu carrinho',
+    'cart.close': 'Fechar carrinho',
+    'cart.subtotal': 'Subtotal',
+    'cart.checkout': 'Finalizar pedido',
+    'cart.clear': 'Esvaziar carrinho',
+    'cart.empty': 'Seu carrinho está vazio',
+    'cart.each': '{price} cada',
+    'cart.sold_out': 'Tamanho esgotado',
+    'cart.price_changed': 'Preço atualizado (antes {price})',
+    'cart.ack': 'Entendi',
+    'cart.quantity': 'Quantidade',
+    'cart.remove': 'Remover',
+
+    'checkout.title': 'Resumo do pedido',
+    'checkout.close': 'Fechar resumo',
+    'checkout.json': 'Baixar JSON',
+    'checkout.csv': 'Baixar CSV',
+    'checkout.text': 'Copiar mensagem',
+    'checkout.print': 'Imprimir recibo',
+
+    'receipt.order': 'Pedido {reference}',
+    'receipt.product': 'Produto',
+    'receipt.size': 'Tamanho',
+    'receipt.quantity': 'Qtd.',
+    'receipt.price': 'Preço',
+    'receipt.total': 'Total',
+    'receipt.source': 'Origem',
+    'receipt.source_demo': 'Demo',
+    'receipt.total_currency': 'Total ({currency})',
+    'receipt.demo_note': 'Inclui preços de demonstração: confirme antes de cobrar.',
+    'receipt.excluded': {
+        one: '{count} item esgotado ficou fora do pedido.',
+        other: '{count} itens esgotados ficaram fora do pedido.'
+    },
+
+    'order.text_title': 'Pedido {reference}',
+    'order.text_each': 'cada',
+    'order.text_demo_price': '[preço demo]',
+    'order.text_total': 'Total: {amount}',
+    'order.text_demo_note': 'Alguns preços são dados de demonstração e devem ser confirmados.',
+    'order.text_live_note': 'Preços em tempo real da StockX.',
+
+    // Avisos y estado
+    'loading.text': 'Carregando produtos...',
+    'status.connecting': 'Conectando à API da StockX...',
+    'status.catalog_error': 'Erro ao carregar o catálogo',
+    'toast.connect_error': 'Erro ao conectar com a StockX',
+    'toast.product_fallback': 'Erro ao carregar {name} - Usando dados de reserva',
+    'toast.load_error': 'Erro ao carregar {title}',
+    'toast.cart_flagged': {
+        one: '{count} item do carrinho mudou de preço ou esgotou',
+        other: '{count} itens do carrinho mudaram de preço ou esgotaram'
+    },
+    'toast.refreshed': {
+        one: 'Dados da StockX atualizados ({count} alteração)',
+        other: 'Dados da StockX atualizados ({count} alterações)'
+    },
+    'toast.no_changes': 'Sem alterações na StockX',
+    'toast.refresh_error': 'Erro ao atualizar os dados',
+    'toast.size_selected': 'Tamanho {size} selecionado - {price}',
+    'toast.currency_changed': 'Moeda alterada para {currency}',
+    'toast.market_changed': 'Preços do mercado {market}',
+    'toast.language_changed': 'Idioma: {language}',
+    'toast.profile_size': 'Preços para o seu tamanho {size}',
+    'toast.demo_not_buyable': 'Preços de demonstração não podem ser comprados',
+    'toast.added_to_cart': 'Adicionado ao carrinho: {title} ({size}) x{quantity} - {price}',
+    'toast.watch_missing': 'Informe um preço desejado ou ative o aviso de reposição',
+    'toast.watching': 'Acompanhando {title} ({size})',
+    'toast.checkout_empty': 'Não há itens disponíveis para o pedido',
+    'toast.copied': 'Mensagem do pedido copiada',
+    'toast.copy_failed': 'Não foi possível copiar a mensagem',
+    'toast.exported': 'Pedido exportado em {format}',
+    'alert.restock': '{title} ({size}) voltou ao estoque - {price}',
+    'alert.price': '{title} ({size}) caiu para {price}',
+
+    // Códigos de error de las funciones (lib/errors.js)
+    'errors.invalid_request': 'A requisição não é válida',
+    'errors.invalid_json': 'A requisição não é válida',
+    'errors.missing_ids': 'Nenhum produto foi informado',
+    'errors.too_many_ids': 'Produtos demais em uma única requisição',
+    'errors.missing_product_param': 'Falta o produto a consultar',
+    'errors.unknown_source': 'Origem de dados desconhecida',
+    'errors.unsupported_market': 'Mercado indisponível',
+    'errors.unsupported_currency': 'Moeda indisponível',
+    'errors.empty_query': 'Digite algo para buscar',
+    'errors.search_not_supported': 'A busca não está disponível para esta origem',
+    'errors.search_disabled': 'A busca está desativada',
+    'errors.search_unavailable': 'A busca não está disponível agora',
+    'errors.product_not_allowed': 'Este produto não está no catálogo',
+    'errors.forbidden': 'Acesso não permitido',
+    'errors.product_not_found': 'Produto não encontrado',
+    'errors.api_key_missing': 'A API da StockX não está configurada',
+    'errors.config_error': 'Erro de configuração do servidor',
+    'errors.upstream_unavailable': 'A StockX não está respondendo',
+    'errors.upstream_quota_exhausted': 'Limite de consultas à StockX atingido, tente mais tarde',
+    'errors.rate_limited': 'Requisições demais, aguarde um momento',
+    'errors.method_not_allowed': 'Operação não permitida',
+    'errors.invalid_date_range': 'Intervalo de datas inválido',
+    'errors.history_unavailable': 'Histórico indisponível',
+    'errors.catalog_unavailable': 'Catálogo indisponível',
+    'errors.rates_unavailable': 'Câmbio indisponível',
+    'errors.processing_error': 'Erro ao processar os dados da StockX',
+    'errors.internal_error': 'Erro interno do servidor'
+});
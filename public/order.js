@@ -0,0 +1,90 @@
+// COURTS Order - Resumen de pedido para cerrar ventas manualmente
+// Exporta el carrito como JSON, CSV, mensaje de texto o recibo imprimible
+
+const ORDER_CSV_COLUMNS = [
+    'title', 'productId', 'size', 'quantity', 'unitPrice', 'total', 'currency', 'priceSource', 'dataTimestamp'
+];
+
+// Las tallas agotadas no se pueden vender: quedan fuera del pedido
+function buildOrderSummary(lines, currency) {
+    const createdAt = new Date();
+    const orderLines = lines
+        .filter(line => !line.soldOut)
+        .map(line => {
+            const unitPrice = convertPrice(line.unitPrice, currency);
+            return {
+                title: line.title,
+                productId: line.productId,
+                size: line.size,
+                quantity: line.quantity,
+                unitPrice,
+                total: roundForCurrency(unitPrice * line.quantity, currency),
+                currency,
+                priceSource: line.priceSource === 'live' ? 'live' : 'demo',
+                dataTimestamp: line.dataTimestamp || null
+            };
+        });
+
+    return {
+        reference: `COURTS-${createdAt.toISOString().slice(0, 10).replace(/-/g, '')}-${createdAt.getTime().toString(36).toUpperCase()}`,
+        createdAt: createdAt.toISOString(),
+        currency,
+        lines: orderLines,
+        itemCount: orderLines.reduce((count, line) => count + line.quantity, 0),
+        subtotal: roundForCurrency(orderLines.reduce((total, line) => total + line.total, 0), currency),
+        excludedSoldOut: lines.length - orderLines.length,
+        hasDemoPrices: orderLines.some(line => line.priceSource !== 'live')
+    };
+}
+
+function orderToJSON(order) {
+    return JSON.stringify(order, null, 2);
+}
+
+// Los títulos vienen de StockX: un texto que empieza por = + - @ (o tab/CR) sería una
+// fórmula al abrir el CSV en una hoja de cálculo, así que se prefija con '.
+// Los números se dejan tal cual para que sigan siendo números
+function escapeCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function orderToCSV(order) {
+    const rows = order.lines.map(line => ORDER_CSV_COLUMNS.map(column => escapeCsvValue(line[column])).join(','));
+    return [ORDER_CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+// Mensaje listo para pegar en WhatsApp o correo; los importes ya están convertidos (formatMoney)
+function orderToText(order) {
+    const lines = order.lines.map(line =>
+        `• ${line.title} (${line.size}) x${line.quantity} - ${formatMoney(line.unitPrice, order.currency)} ${I18n.t('order.text_each')} = ${formatMoney(line.total, order.currency)}` +
+        `${line.priceSource === 'live' ? '' : ` ${I18n.t('order.text_demo_price')}`}`
+    );
+
+    return [
+        I18n.t('order.text_title', { reference: order.reference }),
+        ...lines,
+        I18n.t('order.text_total', { amount: formatMoney(order.subtotal, order.currency) }),
+        order.hasDemoPrices
+            ? I18n.t('order.text_demo_note')
+            : I18n.t('order.text_live_note')
+    ].join('\n');
+}
+
+function downloadOrderFile(order, format) {
+    const content = format === 'csv' ? orderToCSV(order) : orderToJSON(order);
+    const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${order.reference}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,51 @@
+// COURTS Price Chart - Gráfico SVG del historial de precio de una talla
+// Sin dependencias: una polilínea con el mínimo, el máximo y las fechas extremas
+
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+// points: [{ timestamp, price, available }] ordenados por fecha
+function renderPriceChart(container, points, formatValue) {
+    const pricedPoints = points.filter(point => point.price > 0);
+
+    if (pricedPoints.length === 0) {
+        container.innerHTML = `<p class="chart-empty">${I18n.t('history.empty')}</p>`;
+        return;
+    }
+
+    const times = pricedPoints.map(point => new Date(point.timestamp).getTime());
+    const prices = pricedPoints.map(point => point.price);
+
+    const minTime = Math.min(...times);
+    const maxTime = Math.max(...times);
+    const minPrice = Math.min(...prices);
+    const maxPrice = Math.max(...prices);
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+    // Con un solo punto (o precio constante) la línea queda centrada
+    const x = time => CHART_PADDING.left + (maxTime === minTime ? plotWidth / 2 : ((time - minTime) / (maxTime - minTime)) * plotWidth);
+    const y = price => CHART_PADDING.top + (maxPrice === minPrice ? plotHeight / 2 : (1 - (price - minPrice) / (maxPrice - minPrice)) * plotHeight);
+
+    const polyline = pricedPoints.map((point, index) => `${x(times[index]).toFixed(1)},${y(point.price).toFixed(1)}`).join(' ');
+    const dots = pricedPoints.map((point, index) => `
+        <circle cx="${x(times[index]).toFixed(1)}" cy="${y(point.price).toFixed(1)}" r="3" class="chart-dot">
+            <title>${formatDateTime(point.timestamp)} - ${formatValue(point.price)}</title>
+        </circle>
+    `).join('');
+
+    container.innerHTML = `
+        <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="price-chart" role="img" aria-label="${I18n.t('history.title')}">
+            <line x1="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" x2="${CHART_PADDING.left}" y2="${CHART_HEIGHT - CHART_PADDING.bottom}" class="chart-axis" />
+            <line x1="${CHART_PADDING.left}" y1="${CHART_HEIGHT - CHART_PADDING.bottom}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${CHART_HEIGHT - CHART_PADDING.bottom}" class="chart-axis" />
+            <text x="${CHART_PADDING.left - 6}" y="${y(maxPrice) + 4}" text-anchor="end" class="chart-label">${formatValue(maxPrice)}</text>
+            <text x="${CHART_PADDING.left - 6}" y="${y(minPrice) + 4}" text-anchor="end" class="chart-label">${formatValue(minPrice)}</text>
+            <text x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 8}" class="chart-label">${formatDate(new Date(minTime).toISOString().slice(0, 10))}</text>
+            <text x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 8}" text-anchor="end" class="chart-label">${formatDate(new Date(maxTime).toISOString().slice(0, 10))}</text>
+            <polyline points="${polyline}" class="chart-line" />
+            ${dots}
+        </svg>
+    `;
+}
@@ -0,0 +1,71 @@
+// COURTS Profile - Perfil del comprador: talla habitual y sistema de tallas
+// Se guarda en localStorage; con talla definida el catálogo muestra el precio y el stock de esa talla
+
+const PROFILE_STORAGE_KEY = 'courts-profile';
+const LEGACY_SIZE_SYSTEM_KEY = 'courts-size-system'; // Antes del perfil el sistema se guardaba aparte
+const PROFILE_SIZE_SYSTEMS = ['US', 'UK', 'EU', 'CM'];
+
+const Profile = (() => {
+    let profile = loadProfile();
+    const listeners = new Set();
+
+    function normalize(stored) {
+        return {
+            // Talla en la notación de StockX (sizeData.size, p. ej. "US 10"); null = sin talla
+            size: typeof stored.size === 'string' && stored.size ? stored.size : null,
+            sizeSystem: PROFILE_SIZE_SYSTEMS.includes(stored.sizeSystem) ? stored.sizeSystem : 'US'
+        };
+    }
+
+    function loadProfile() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) || 'null');
+            if (stored && typeof stored === 'object') return normalize(stored);
+        } catch {
+            // Perfil corrupto: se empieza de cero
+        }
+
+        return normalize({ sizeSystem: localStorage.getItem(LEGACY_SIZE_SYSTEM_KEY) });
+    }
+
+    function persist() {
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+        notify();
+    }
+
+    function notify() {
+        listeners.forEach(listener => listener(get()));
+    }
+
+    function get() {
+        return { ...profile };
+    }
+
+    function setSize(size) {
+        profile = normalize({ ...profile, size });
+        persist();
+    }
+
+    function setSizeSystem(sizeSystem) {
+        profile = normalize({ ...profile, sizeSystem });
+        persist();
+    }
+
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    window.addEventListener('storage', event => {
+        if (event.key !== PROFILE_STORAGE_KEY) return;
+        profile = loadProfile();
+        notify();
+    });
+
+    return {
+        get,
+        setSize,
+        setSizeSystem,
+        onChange
+    };
+})();
@@ -0,0 +1,95 @@
+// COURTS Router - Rutas en el hash: #/product/<id>?size=US%2010&currency=PEN
+// La URL manda sobre la vista, así los enlaces se pueden compartir y el botón atrás funciona
+
+const Router = (() => {
+    const routes = [];
+    let notFoundHandler = null;
+
+    // '/product/:id' -> expresión regular y nombres de parámetro
+    function compile(pattern) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        return { regex: new RegExp(`^${source}$`), keys };
+    }
+
+    function on(pattern, handler) {
+        routes.push({ ...compile(pattern), handler });
+    }
+
+    function otherwise(handler) {
+        notFoundHandler = handler;
+    }
+
+    function current() {
+        const [path, queryString = ''] = window.location.hash.replace(/^#/, '').split('?');
+        return {
+            path: path || '/',
+            query: Object.fromEntries(new URLSearchParams(queryString))
+        };
+    }
+
+    // Los parámetros vacíos no se escriben; los espacios van como %20 y no como "+"
+    function buildHash(path, query = {}) {
+        const params = new URLSearchParams(
+            Object.entries(query).filter(([, value]) => value !== null && value !== undefined && value !== '')
+        );
+        const queryString = params.toString().replace(/\+/g, '%20');
+        return `#${path}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    // null si algún parámetro no es un escape %XX válido
+    function decodeParams(keys, match) {
+        const params = {};
+        try {
+            keys.forEach((key, index) => {
+                params[key] = decodeURIComponent(match[index + 1]);
+            });
+        } catch {
+            return null;
+        }
+        return params;
+    }
+
+    function resolve() {
+        const { path, query } = current();
+
+        for (const route of routes) {
+            const match = route.regex.exec(path);
+            if (match) {
+                const params = decodeParams(route.keys, match);
+                // Un enlace mal escrito (#/product/%E0) va a la vista de no encontrado
+                if (!params) break;
+                return route.handler(params, query);
+            }
+        }
+
+        if (notFoundHandler) {
+            return notFoundHandler({ path }, query);
+        }
+    }
+
+    // Nueva entrada en el historial; hashchange se encarga de pintar la vista
+    function navigate(path, query) {
+        const hash = buildHash(path, query);
+        if (hash === window.location.hash) {
+            resolve();
+            return;
+        }
+        window.location.hash = hash;
+    }
+
+    // Refleja el estado en la URL sin crear entrada ni volver a pintar (talla, moneda)
+    function update(path, query) {
+        history.replaceState(null, '', buildHash(path, query));
+    }
+
+    function start() {
+        window.addEventListener('hashchange', resolve);
+        return resolve();
+    }
+
+    return { on, otherwise, current, navigate, update, start };
+})();
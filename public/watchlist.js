@@ -0,0 +1,119 @@
+// COURTS Watchlist - Avisos de bajada de precio y de reposición por talla
+// Se guarda en localStorage y se compara con los datos en cada refresco
+
+const WATCHLIST_STORAGE_KEY = 'courts-watchlist';
+
+const Watchlist = (() => {
+    let watches = loadWatches();
+    const listeners = new Set();
+
+    function watchKey(productId, size) {
+        return `${productId}::${size}`;
+    }
+
+    function loadWatches() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch {
+            return [];
+        }
+    }
+
+    function persist() {
+        localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(watches));
+        listeners.forEach(listener => listener(getWatches()));
+    }
+
+    function getWatches(productId) {
+        return watches
+            .filter(watch => !productId || watch.productId === productId)
+            .map(watch => ({ ...watch }));
+    }
+
+    // targetPrice en targetCurrency, la moneda en que se escribió (null = sin objetivo de precio)
+    function addWatch({ productId, title, size, targetPrice = null, targetCurrency = 'USD', notifyRestock = false, currentState }) {
+        const key = watchKey(productId, size);
+        watches = watches.filter(watch => watch.key !== key);
+
+        watches.push({
+            key,
+            productId,
+            title,
+            size,
+            targetPrice,
+            targetCurrency,
+            notifyRestock,
+            createdAt: new Date().toISOString(),
+            lastState: currentState || null,
+            priceTriggered: false
+        });
+
+        persist();
+        return key;
+    }
+
+    function removeWatch(key) {
+        watches = watches.filter(watch => watch.key !== key);
+        persist();
+    }
+
+    // Compara los datos nuevos con cada vigilancia y devuelve las alertas.
+    // Una alerta de precio no se repite hasta que el precio vuelva a subir.
+    function check(productCache) {
+        const alerts = [];
+
+        watches.forEach(watch => {
+            const data = productCache[watch.productId];
+            if (!data) return;
+
+            const sizeData = data.sizes.find(s => s.size === watch.size);
+            const state = {
+                available: !!(sizeData && sizeData.available),
+                price: sizeData && sizeData.available ? sizeData.price : 0
+            };
+
+            if (watch.notifyRestock && state.available && watch.lastState && !watch.lastState.available) {
+                alerts.push({ type: 'restock', watch: { ...watch }, price: state.price });
+            }
+
+            // El objetivo sólo se compara con precios calculados en su moneda: en otra
+            // cambian envío, aranceles y redondeo. Las vigilancias antiguas estaban en USD
+            const quote = state.available ? getQuotedPrice(state.price, data) : null;
+            const comparable = watch.targetPrice !== null && (!quote || quote.currency === (watch.targetCurrency || 'USD'));
+
+            if (comparable) {
+                const priceReached = !!quote && quote.amount <= watch.targetPrice;
+                if (priceReached && !watch.priceTriggered) {
+                    alerts.push({ type: 'price', watch: { ...watch }, price: state.price });
+                }
+
+                watch.priceTriggered = priceReached;
+            }
+            watch.lastState = state;
+        });
+
+        persist();
+        return alerts;
+    }
+
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    window.addEventListener('storage', event => {
+        if (event.key !== WATCHLIST_STORAGE_KEY) return;
+        watches = loadWatches();
+        listeners.forEach(listener => listener(getWatches()));
+    });
+
+    return {
+        watchKey,
+        getWatches,
+        addWatch,
+        removeWatch,
+        check,
+        onChange
+    };
+})();
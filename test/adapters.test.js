@@ -0,0 +1,121 @@
+// Adaptadores de mercado: las respuestas grabadas de cada API se normalizan al esquema de schema.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readUpstreamPayload, assertProductSchema, assertSummarySchema } from './helpers.js';
+import * as stockx from '../lib/adapters/stockx.js';
+import * as goat from '../lib/adapters/goat.js';
+import * as kicksdb from '../lib/adapters/kicksdb.js';
+
+const KAI_1_ID = 'f1938d29-48da-47eb-a5f8-619a2d8443ca';
+
+function sizeBySize(product, size) {
+    return product.sizes.find(entry => entry.size === size);
+}
+
+describe('stockx adapter', () => {
+    it('normalizes a product with its variants', () => {
+        const payload = readUpstreamPayload(stockx.buildProductUrl(KAI_1_ID));
+        const product = stockx.normalizeProduct(stockx.extractProduct(payload, { isIdQuery: true }));
+
+        assertProductSchema(product);
+        assert.equal(product.id, KAI_1_ID);
+        assert.equal(product.sku, '112441101-3');
+        assert.equal(product.brand, 'Anta');
+        assert.equal(product._sourceId, 'stockx');
+        assert.equal(product.sizes.length, 6);
+
+        // Ask con ofertas -> disponible; sin ofertas -> agotada con precio 0
+        assert.deepEqual(
+            { price: sizeBySize(product, 'US 10.5').price, available: sizeBySize(product, 'US 10.5').available },
+            { price: 132, available: true }
+        );
+        assert.deepEqual(
+            { price: sizeBySize(product, 'US 11').price, available: sizeBySize(product, 'US 11').available },
+            { price: 0, available: false }
+        );
+        assert.equal(sizeBySize(product, 'US 7W').sizeInfo.category, 'women');
+        assert.equal(product._apiData.availableSizes, 5);
+        assert.equal(product._apiData.weeklyOrders, 14);
+    });
+
+    it('returns no sizes for a product without variants', () => {
+        const payload = readUpstreamPayload(stockx.buildProductUrl('297427c6-73bd-414f-9535-e5739c0ed93f'));
+        const product = stockx.normalizeProduct(stockx.extractProduct(payload, { isIdQuery: true }));
+
+        assertProductSchema(product);
+        assert.deepEqual(product.sizes, []);
+        assert.equal(product._fallback, undefined);
+        assert.equal(product._apiData.availableSizes, 0);
+    });
+
+    it('normalizes search results to summaries', () => {
+        const payload = readUpstreamPayload(stockx.buildSearchUrl('anta kai', { page: 1, limit: 12 }));
+        const { products, total } = stockx.extractSearchResults(payload);
+
+        assert.equal(total, 27);
+        assert.equal(products.length, 3);
+
+        const summaries = products.map(stockx.normalizeSummary);
+        summaries.forEach(assertSummarySchema);
+        assert.equal(summaries[0].minPrice, 98);
+        // Sin imagen ni precios en la respuesta
+        assert.match(summaries[2].image, /^https:\/\//);
+        assert.equal(summaries[2].minPrice, 0);
+    });
+});
+
+describe('goat adapter', () => {
+    it('normalizes a product with prices in cents', () => {
+        const payload = readUpstreamPayload(goat.buildProductUrl('1265436'));
+        const product = goat.normalizeProduct(goat.extractProduct(payload, { isIdQuery: true }));
+
+        assertProductSchema(product);
+        assert.equal(product._sourceId, 'goat');
+        assert.equal(product.brand, 'Anta');
+        assert.equal(product.regularPrice, 125);
+        assert.equal(sizeBySize(product, 'US 9').price, 119);
+        // not_in_stock manda aunque haya precio
+        assert.equal(sizeBySize(product, 'US 12').available, false);
+        assert.equal(product._apiData.minPrice, 119);
+        assert.equal(product._apiData.maxPrice, 138);
+    });
+
+    it('normalizes search results to summaries', () => {
+        const payload = readUpstreamPayload(goat.buildSearchUrl('anta kai', { page: 1, limit: 12 }));
+        const { products, total } = goat.extractSearchResults(payload);
+
+        assert.equal(total, 2);
+        const summaries = products.map(goat.normalizeSummary);
+        summaries.forEach(assertSummarySchema);
+        assert.equal(summaries[0].minPrice, 119);
+        assert.equal(summaries[0].maxPrice, 154);
+        assert.equal(summaries[1].regularPrice, 130);
+    });
+});
+
+describe('kicksdb adapter', () => {
+    it('normalizes the generic sizes format', () => {
+        const sku = 'DD1391-100';
+        const payload = readUpstreamPayload(kicksdb.buildProductUrls(sku)[1]);
+        const product = kicksdb.normalizeProduct(kicksdb.extractProduct(payload), { sku });
+
+        assertProductSchema(product);
+        assert.equal(product._sourceId, 'kicksdb');
+        assert.equal(product.sku, sku);
+        assert.equal(product.regularPrice, 110);
+        assert.equal(product.sizes.length, 4);
+        assert.equal(sizeBySize(product, 'US 11.5').available, false);
+        assert.equal(product._apiData.minPrice, 121);
+        assert.equal(product._apiData.maxPrice, 152);
+    });
+
+    it('rejects a payload without a usable price', () => {
+        assert.throws(() => kicksdb.normalizeProduct({ name: 'No price', sizes: [] }, { sku: 'X1' }), /No valid price/);
+    });
+
+    it('has no search summaries', () => {
+        assert.equal(kicksdb.normalizeSummary, null);
+        assert.equal(kicksdb.buildSearchUrl, null);
+    });
+});
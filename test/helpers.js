@@ -0,0 +1,111 @@
+// Utilidades compartidas por los tests (node:test, sin dependencias)
+//
+// Ejecutar desde la raíz del repo con npm test (node --test, Node 18 o superior)
+//
+// Las respuestas de la API están en test/fixtures/upstream con el formato de
+// lib/upstream.js; para regrabarlas: KICKSDB_UPSTREAM_MODE=record
+// KICKSDB_FIXTURES_DIR=test/fixtures/upstream con una API key válida.
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getFixturePath } from '../lib/upstream.js';
+import { listSources } from '../lib/adapters/index.js';
+
+// Los logs de los módulos sólo estorban en la salida de los tests
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'upstream');
+
+const MARKET_DATA_KEYS = ['lowest_ask', 'total_asks', 'sales_15_days', 'sales_30_days', 'sales_60_days'];
+const API_DATA_KEYS = ['realTimeData', 'availableSizes', 'totalSizes', 'minPrice', 'maxPrice', 'weeklyOrders'];
+
+// Cuerpo JSON grabado para una URL de la API
+export function readUpstreamPayload(url) {
+    const previousDir = process.env.KICKSDB_FIXTURES_DIR;
+    process.env.KICKSDB_FIXTURES_DIR = FIXTURES_DIR;
+
+    try {
+        const fixture = JSON.parse(fs.readFileSync(getFixturePath(url), 'utf8'));
+        return JSON.parse(fixture.body);
+    } finally {
+        if (previousDir === undefined) delete process.env.KICKSDB_FIXTURES_DIR;
+        else process.env.KICKSDB_FIXTURES_DIR = previousDir;
+    }
+}
+
+function assertId(value, field) {
+    assert.ok(
+        (typeof value === 'string' && value.length > 0) || Number.isFinite(value),
+        `${field} must be a non-empty string or a number`
+    );
+}
+
+function assertPrice(value, field) {
+    assert.ok(Number.isFinite(value) && value >= 0, `${field} must be a non-negative number, got ${value}`);
+}
+
+function assertDate(value, field) {
+    assert.equal(typeof value, 'string', `${field} must be a string`);
+    assert.ok(!Number.isNaN(Date.parse(value)), `${field} must be an ISO date, got ${value}`);
+}
+
+// Campos comunes de producto y resumen (lib/adapters/schema.js)
+function assertBasics(item) {
+    assertId(item.id, 'id');
+    assertId(item.sku, 'sku');
+    assert.equal(typeof item.title, 'string');
+    assert.ok(item.title.length > 0, 'title must not be empty');
+    assert.ok(item.brand === null || typeof item.brand === 'string', 'brand must be a string or null');
+    assert.match(item.image, /^https?:\/\//);
+    assertDate(item.lastUpdated, 'lastUpdated');
+    assertPrice(item.regularPrice, 'regularPrice');
+}
+
+export function assertSizeSchema(size) {
+    assert.match(size.size, /^US \S+$/);
+    assert.equal(typeof size.available, 'boolean');
+    assertPrice(size.price, `price of ${size.size}`);
+    if (!size.available) {
+        assert.equal(size.price, 0, `sold-out size ${size.size} must have price 0`);
+    }
+
+    if (size.sizeInfo !== null) {
+        assert.equal(typeof size.sizeInfo.category, 'string');
+        assert.ok(Number.isFinite(size.sizeInfo.sortKey));
+        assert.match(size.sizeInfo.labels.US, /^US \d/);
+    }
+
+    if (size.marketData !== null) {
+        assert.deepEqual(Object.keys(size.marketData).sort(), [...MARKET_DATA_KEYS].sort());
+        MARKET_DATA_KEYS.forEach(key => assertPrice(size.marketData[key], `marketData.${key}`));
+    }
+}
+
+export function assertProductSchema(product) {
+    assertBasics(product);
+    assert.ok(Array.isArray(product.sizes), 'sizes must be an array');
+    product.sizes.forEach(assertSizeSchema);
+
+    // Ordenadas por categoría y talla, las no convertibles al final
+    const sortKeys = product.sizes.map(size => size.sizeInfo ? size.sizeInfo.sortKey : Infinity);
+    assert.deepEqual(sortKeys, [...sortKeys].sort((a, b) => a - b));
+
+    assert.equal(typeof product._source, 'string');
+    assert.ok(listSources().includes(product._sourceId), `unknown _sourceId ${product._sourceId}`);
+
+    assert.deepEqual(Object.keys(product._apiData).sort(), [...API_DATA_KEYS].sort());
+    assert.equal(product._apiData.totalSizes, product.sizes.length);
+    assert.equal(product._apiData.availableSizes, product.sizes.filter(size => size.available).length);
+    assertPrice(product._apiData.minPrice, '_apiData.minPrice');
+    assertPrice(product._apiData.maxPrice, '_apiData.maxPrice');
+}
+
+export function assertSummarySchema(summary) {
+    assertBasics(summary);
+    assertPrice(summary.minPrice, 'minPrice');
+    assertPrice(summary.maxPrice, 'maxPrice');
+    assertPrice(summary.weeklyOrders, 'weeklyOrders');
+    assert.equal(summary.sizes, undefined, 'summaries must not carry sizes');
+}
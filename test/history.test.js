@@ -0,0 +1,122 @@
+// Historial de precios: intervalo mínimo entre snapshots y backends de ficheros y Blobs
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const {
+    recordProductSnapshot,
+    createMemoryHistoryStore,
+    createFileHistoryStore,
+    createBlobsHistoryStore
+} = await import('../lib/history.js');
+const { BlobsServer } = await import('@netlify/blobs/server');
+
+const PRODUCT = {
+    _market: { currency: 'USD' },
+    sizes: [
+        { size: 'US 9', available: true, marketData: { lowest_ask: 120, total_asks: 4, sales_15_days: 1, sales_30_days: 2, sales_60_days: 3 } },
+        { size: 'US 10', available: false, marketData: { lowest_ask: 0, total_asks: 0, sales_15_days: 0, sales_30_days: 0, sales_60_days: 1 } },
+        // Sin datos de mercado no hay nada que guardar
+        { size: 'US 11', available: true, marketData: null }
+    ]
+};
+
+function snapshotsAt(timestamp, size = 'US 9') {
+    return [{ timestamp, size, lowestAsk: 100, currency: 'USD' }];
+}
+
+describe('recordProductSnapshot', () => {
+    it('stores one snapshot per size with market data', async () => {
+        const store = createMemoryHistoryStore();
+
+        assert.equal(await recordProductSnapshot('p1', 'US', PRODUCT, store), 2);
+        const snapshots = await store.query('p1', 'US');
+        assert.deepEqual(snapshots.map(snapshot => snapshot.size), ['US 9', 'US 10']);
+        assert.equal(snapshots[0].lowestAsk, 120);
+        assert.equal(snapshots[0].currency, 'USD');
+    });
+
+    it('skips a snapshot inside the minimum interval', async () => {
+        const store = createMemoryHistoryStore();
+
+        await recordProductSnapshot('p1', 'US', PRODUCT, store);
+        assert.equal(await recordProductSnapshot('p1', 'US', PRODUCT, store), 0);
+        // Otro mercado es otra serie
+        assert.equal(await recordProductSnapshot('p1', 'GB', PRODUCT, store), 2);
+    });
+});
+
+describe('file history store', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('keeps the last timestamp apart from the series', async () => {
+        const store = createFileHistoryStore(directory);
+        assert.equal(await store.lastTimestamp('p/1', 'US'), null);
+
+        await store.append('p/1', 'US', snapshotsAt('2026-10-01T10:00:00.000Z'));
+        await store.append('p/1', 'US', snapshotsAt('2026-10-02T10:00:00.000Z'));
+
+        assert.equal(await store.lastTimestamp('p/1', 'US'), '2026-10-02T10:00:00.000Z');
+        assert.equal(fs.readFileSync(path.join(directory, 'p_1-US.last'), 'utf8'), '2026-10-02T10:00:00.000Z');
+        assert.equal((await store.query('p/1', 'US', { from: '2026-10-02T00:00:00.000Z' })).length, 1);
+    });
+});
+
+describe('blobs history store', () => {
+    let server;
+    let directory;
+
+    before(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-blobs-'));
+        server = new BlobsServer({ directory, token: 'test-token' });
+        const { port } = await server.start();
+        const url = `http://localhost:${port}`;
+        process.env.NETLIFY_BLOBS_CONTEXT = Buffer.from(JSON.stringify({
+            edgeURL: url,
+            uncachedEdgeURL: url,
+            siteID: 'test-site',
+            token: 'test-token'
+        })).toString('base64');
+    });
+
+    after(async () => {
+        delete process.env.NETLIFY_BLOBS_CONTEXT;
+        await server.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('shares the series through the blob store', async () => {
+        const fallback = createMemoryHistoryStore();
+        const writer = createBlobsHistoryStore('history-test', fallback);
+        const reader = createBlobsHistoryStore('history-test', createMemoryHistoryStore());
+
+        await writer.append('p1', 'US', snapshotsAt('2026-10-01T10:00:00.000Z'));
+        await writer.append('p1', 'US', [
+            ...snapshotsAt('2026-10-03T10:00:00.000Z'),
+            ...snapshotsAt('2026-10-03T10:00:00.000Z', 'US 10')
+        ]);
+
+        // Otra instancia ve lo mismo: nada queda en el respaldo local
+        assert.equal(await reader.lastTimestamp('p1', 'US'), '2026-10-03T10:00:00.000Z');
+        assert.equal((await reader.query('p1', 'US')).length, 3);
+        assert.deepEqual(
+            (await reader.query('p1', 'US', { from: '2026-10-02T00:00:00.000Z', size: 'US 10' })).map(snapshot => snapshot.size),
+            ['US 10']
+        );
+        assert.equal(await reader.lastTimestamp('p1', 'GB'), null);
+        assert.deepEqual(await fallback.query('p1', 'US'), []);
+    });
+});
@@ -0,0 +1,454 @@
+// Handler de productos: rutas, allowlist, rate limit, ETags y modos demo/estricto
+// La API se sirve desde test/fixtures/upstream (KICKSDB_UPSTREAM_MODE=replay)
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { FIXTURES_DIR } from './helpers.js';
+
+// Antes de cargar los módulos: varios leen el entorno al importarse
+process.env.KICKSDB_UPSTREAM_MODE = 'replay';
+process.env.KICKSDB_FIXTURES_DIR = FIXTURES_DIR;
+process.env.CACHE_STORE = 'memory';
+process.env.HISTORY_STORE = 'memory';
+process.env.RATES_FIXTURE_FILE = path.join(process.cwd(), 'data', 'rates.json');
+delete process.env.KICKSDB_API_KEY;
+delete process.env.KICKSDB_ALLOWLIST;
+
+const { createKicksHandler } = await import('../lib/kicks-handler.js');
+const { setCacheStore, createMemoryCacheStore } = await import('../lib/cache.js');
+const { setRateLimitStore } = await import('../lib/rate-limit.js');
+const { setHistoryStore, createMemoryHistoryStore } = await import('../lib/history.js');
+const { handler: legacyHandler } = await import('../netlify/functions/kicksdb.js');
+
+const KAI_1_ID = 'f1938d29-48da-47eb-a5f8-619a2d8443ca';
+const KAI_2_ID = 'dbb27df3-bb6e-4a7a-ba38-1bbb5f5a022a';
+const UNKNOWN_ID = '00000000-0000-0000-0000-000000000000';
+const UNRECORDED_ID = '11111111-1111-1111-1111-111111111111';
+
+// Cache y rate limit vacíos en cada handler para que los tests no se pisen
+function createHandler(overrides = {}) {
+    setCacheStore(createMemoryCacheStore());
+    setRateLimitStore(createMemoryCacheStore());
+    return createKicksHandler({ name: 'test', ...overrides });
+}
+
+function get(queryStringParameters, headers = {}) {
+    return { httpMethod: 'GET', queryStringParameters, headers };
+}
+
+function post(body, headers = {}) {
+    return { httpMethod: 'POST', queryStringParameters: {}, headers, body };
+}
+
+// Sin API key y en modo live la API "falla" (ConfigError) dentro de fn
+async function withoutUpstream(fn) {
+    const previousMode = process.env.KICKSDB_UPSTREAM_MODE;
+    process.env.KICKSDB_UPSTREAM_MODE = 'live';
+    try {
+        return await fn();
+    } finally {
+        process.env.KICKSDB_UPSTREAM_MODE = previousMode;
+    }
+}
+
+function parse(response) {
+    return JSON.parse(response.body);
+}
+
+describe('product route', () => {
+    it('returns a priced product with ETag and Cache-Control', async () => {
+        const response = await createHandler()(get({ id: KAI_1_ID }));
+        const body = parse(response);
+
+        assert.equal(response.statusCode, 200);
+        assert.match(response.headers.ETag, /^W\/"/);
+        assert.equal(response.headers['Cache-Control'], 'public, max-age=60, stale-while-revalidate=300');
+        assert.equal(body.id, KAI_1_ID);
+        assert.equal(body._fallback, undefined);
+        assert.deepEqual(body._market, { code: 'US', currency: 'USD' });
+        assert.ok(body._pricing, 'product must carry the pricing summary');
+        // El ask nunca llega al cliente
+        body.sizes.forEach(size => assert.equal(size.marketData.lowest_ask, undefined));
+    });
+
+    it('returns the rates the prices were rounded with', async () => {
+        const body = parse(await createHandler()(get({ id: KAI_1_ID, currency: 'PEN' })));
+        const { rates } = body._pricing;
+
+        assert.equal(body._pricing.currency, 'PEN');
+        assert.deepEqual(Object.keys(rates).sort(), ['PEN', 'USD']);
+        // Con esas tasas cada precio vuelve a su punto de precio en soles (…9.90)
+        body.sizes.filter(size => size.available).forEach(size => {
+            const local = Math.round(size.price * rates.PEN * 100) / 100;
+            assert.equal(Math.round(local * 100) % 1000, 990, `${size.size}: ${local}`);
+        });
+    });
+
+    it('answers 304 when If-None-Match matches', async () => {
+        const handler = createHandler();
+        const first = await handler(get({ id: KAI_1_ID }));
+        const second = await handler(get({ id: KAI_1_ID }, { 'if-none-match': first.headers.ETag }));
+
+        assert.equal(second.statusCode, 304);
+        assert.equal(second.headers.ETag, first.headers.ETag);
+        assert.equal(second.body, '');
+    });
+
+    it('requires an id or sku', async () => {
+        const response = await createHandler()(get({}));
+
+        assert.equal(response.statusCode, 400);
+        assert.equal(parse(response).code, 'missing_product_param');
+    });
+
+    it('rejects unknown sources and markets', async () => {
+        const handler = createHandler();
+
+        assert.equal(parse(await handler(get({ id: KAI_1_ID, source: 'nope' }))).code, 'unknown_source');
+        assert.equal(parse(await handler(get({ id: KAI_1_ID, source: 'goat', market: 'JP' }))).code, 'unsupported_market');
+    });
+
+    it('answers the CORS preflight', async () => {
+        const response = await createHandler()({ httpMethod: 'OPTIONS', headers: {} });
+        const legacy = await legacyHandler({ httpMethod: 'OPTIONS', headers: {} });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.body, '');
+        assert.equal(response.headers['Access-Control-Allow-Origin'], '*');
+        assert.equal(response.headers['Access-Control-Allow-Methods'], 'GET, POST, OPTIONS');
+        assert.equal(legacy.headers['Access-Control-Allow-Methods'], 'GET, OPTIONS');
+    });
+
+    it('rejects an unsupported currency', async () => {
+        const response = await createHandler()(get({ id: KAI_1_ID, currency: 'XYZ' }));
+
+        assert.equal(response.statusCode, 400);
+        assert.equal(parse(response).code, 'unsupported_currency');
+    });
+
+    it('answers 405 to other methods', async () => {
+        const response = await createHandler()({ httpMethod: 'DELETE', headers: {} });
+
+        assert.equal(response.statusCode, 405);
+        assert.equal(parse(response).code, 'method_not_allowed');
+    });
+});
+
+describe('batch route', () => {
+    it('loads several products in one request', async () => {
+        const response = await createHandler()(get({ ids: `${KAI_1_ID},${KAI_2_ID}` }));
+        const body = parse(response);
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['Cache-Control'], 'no-cache');
+        assert.equal(body.summary.requested, 2);
+        assert.equal(body.summary.ok, 2);
+        assert.equal(body.products[KAI_2_ID].data.id, KAI_2_ID);
+        assert.deepEqual(body.rates, body.products[KAI_2_ID].data._pricing.rates);
+    });
+
+    it('skips products whose ETag the client already has', async () => {
+        const handler = createHandler();
+        const first = parse(await handler(post(JSON.stringify({ ids: [KAI_1_ID, KAI_2_ID] }))));
+        const second = parse(await handler(post(JSON.stringify({
+            ids: [KAI_1_ID, KAI_2_ID],
+            etags: { [KAI_1_ID]: first.products[KAI_1_ID].etag }
+        }))));
+
+        assert.deepEqual(second.products[KAI_1_ID], { status: 'not_modified', etag: first.products[KAI_1_ID].etag });
+        assert.equal(second.products[KAI_2_ID].status, 'ok');
+        assert.equal(second.summary.not_modified, 1);
+    });
+
+    it('rejects bodies that are not a JSON object', async () => {
+        const handler = createHandler();
+
+        for (const body of ['{', 'null', '[]', '"ids"']) {
+            const response = await handler(post(body));
+            assert.equal(response.statusCode, 400, `body ${body}`);
+            assert.equal(parse(response).code, 'invalid_json');
+        }
+    });
+
+    it('accepts a base64-encoded body', async () => {
+        const body = Buffer.from(JSON.stringify({ ids: [KAI_1_ID], currency: 'EUR' })).toString('base64');
+        const response = await createHandler()({ ...post(body), isBase64Encoded: true });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(parse(response).currency, 'EUR');
+        assert.equal(parse(response).products[KAI_1_ID].status, 'ok');
+    });
+
+    it('marks products served as demo data', async () => {
+        const body = parse(await createHandler()(get({ ids: `${KAI_1_ID},${UNRECORDED_ID}` })));
+
+        assert.equal(body.products[KAI_1_ID].status, 'ok');
+        assert.equal(body.products[UNRECORDED_ID].status, 'fallback');
+        assert.equal(body.products[UNRECORDED_ID].data._fallback, true);
+        assert.equal(body.summary.fallback, 1);
+    });
+
+    it('reports failed products without failing the batch in strict mode', async () => {
+        const response = await createHandler({ fallbackToDemo: false })(get({ ids: `${KAI_1_ID},${UNRECORDED_ID}` }));
+        const body = parse(response);
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(body.products[KAI_1_ID].status, 'ok');
+        assert.equal(body.products[UNRECORDED_ID].status, 'error');
+        assert.equal(body.products[UNRECORDED_ID].code, 'upstream_unavailable');
+        assert.equal(body.products[UNRECORDED_ID].data, undefined);
+        assert.equal(body.summary.error, 1);
+    });
+
+    it('limits the number of ids', async () => {
+        const ids = Array.from({ length: 3 }, (_, index) => `id-${index}`).join(',');
+        const response = await createHandler({ batchMaxIds: 2 })(get({ ids }));
+
+        assert.equal(response.statusCode, 400);
+        assert.equal(parse(response).code, 'too_many_ids');
+    });
+});
+
+describe('search route', () => {
+    it('returns priced summaries with pagination', async () => {
+        const response = await createHandler()(get({ query: 'anta kai' }));
+        const body = parse(response);
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(body.total, 27);
+        assert.equal(body.hasMore, true);
+        assert.equal(body.results.length, 3);
+        assert.equal(body.results[0].id, KAI_1_ID);
+        assert.equal(body.results[0].sizes, undefined);
+    });
+
+    it('answers 502 when the API fails', async () => {
+        const response = await createHandler()(get({ query: 'not recorded' }));
+
+        assert.equal(response.statusCode, 502);
+        assert.equal(parse(response).code, 'search_unavailable');
+    });
+
+    it('rejects an empty query', async () => {
+        const response = await createHandler()(get({ query: '  ' }));
+
+        assert.equal(response.statusCode, 400);
+        assert.equal(parse(response).code, 'empty_query');
+    });
+
+    it('is not available for the generic source', async () => {
+        const response = await createHandler()(get({ query: 'anta', source: 'kicksdb' }));
+
+        assert.equal(response.statusCode, 400);
+        assert.equal(parse(response).code, 'search_not_supported');
+    });
+});
+
+describe('catalog allowlist', () => {
+    it('serves catalog products', async () => {
+        const response = await createHandler({ allowlist: 'catalog' })(get({ id: KAI_1_ID }));
+
+        assert.equal(response.statusCode, 200);
+    });
+
+    it('rejects products outside the catalog', async () => {
+        const handler = createHandler({ allowlist: 'catalog' });
+        const single = await handler(get({ id: UNKNOWN_ID }));
+        const batch = await handler(get({ ids: `${KAI_1_ID},${UNKNOWN_ID}` }));
+
+        assert.equal(single.statusCode, 403);
+        assert.equal(parse(single).code, 'product_not_allowed');
+        assert.equal(batch.statusCode, 403);
+        assert.equal(parse(batch).code, 'product_not_allowed');
+    });
+
+    it('disables free search', async () => {
+        const response = await createHandler({ allowlist: 'catalog' })(get({ query: 'anta kai' }));
+
+        assert.equal(response.statusCode, 403);
+        assert.equal(parse(response).code, 'search_disabled');
+    });
+});
+
+describe('client rate limit', () => {
+    it('answers 429 with Retry-After once the bucket is empty', async () => {
+        const handler = createHandler({ rateLimits: { product: { capacity: 1, refillPerMinute: 1 } } });
+        const event = get({ id: KAI_1_ID }, { 'x-nf-client-connection-ip': '203.0.113.7' });
+
+        assert.equal((await handler(event)).statusCode, 200);
+        const limited = await handler(event);
+
+        assert.equal(limited.statusCode, 429);
+        assert.equal(parse(limited).code, 'rate_limited');
+        assert.equal(limited.headers['Retry-After'], '60');
+        assert.equal(limited.headers['Cache-Control'], 'no-store');
+
+        // Otra IP tiene su propio cubo
+        const other = await handler(get({ id: KAI_1_ID }, { 'x-nf-client-connection-ip': '203.0.113.8' }));
+        assert.equal(other.statusCode, 200);
+    });
+
+    it('limits the batch route with its own bucket', async () => {
+        const handler = createHandler({
+            rateLimits: { product: { capacity: 5, refillPerMinute: 5 }, batch: { capacity: 1, refillPerMinute: 0.5 } }
+        });
+        const headers = { 'x-nf-client-connection-ip': '203.0.113.9' };
+
+        assert.equal((await handler(post(JSON.stringify({ ids: [KAI_1_ID] }), headers))).statusCode, 200);
+        const limited = await handler(get({ ids: KAI_1_ID }, headers));
+
+        assert.equal(limited.statusCode, 429);
+        assert.equal(limited.headers['Retry-After'], '120');
+        assert.equal((await handler(get({ id: KAI_1_ID }, headers))).statusCode, 200);
+    });
+});
+
+describe('server cache', () => {
+    it('serves stale data while it revalidates', async () => {
+        const handler = createHandler({ cacheTtl: 0, staleTtl: 60 * 1000 });
+        await handler(get({ id: KAI_1_ID }));
+        const response = await handler(get({ id: KAI_1_ID }));
+        const body = parse(response);
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(body._stale, true);
+        assert.equal(typeof body._staleAge, 'number');
+        assert.equal(response.headers['Cache-Control'], 'public, max-age=0, stale-while-revalidate=60');
+    });
+
+    it('serves stale data when the API fails', async () => {
+        const handler = createHandler({ cacheTtl: 0, staleTtl: 0, staleIfErrorTtl: 60 * 1000, fallbackToDemo: false });
+        const fresh = await handler(get({ id: KAI_1_ID }));
+        const response = await withoutUpstream(() => handler(get({ id: KAI_1_ID })));
+        const body = parse(response);
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(body._stale, true);
+        assert.equal(body._fallback, undefined);
+        assert.equal(response.headers['Cache-Control'], 'public, max-age=0');
+        // _stale y _staleAge no cuentan para el ETag
+        assert.equal(response.headers.ETag, fresh.headers.ETag);
+    });
+});
+
+describe('price history', () => {
+    it('records a snapshot when a product is fetched by id', async () => {
+        const store = createMemoryHistoryStore();
+        setHistoryStore(store);
+        const handler = createHandler();
+
+        await handler(get({ id: KAI_1_ID }));
+        const snapshots = await store.query(KAI_1_ID, 'US');
+        assert.equal(snapshots.length, 6);
+        assert.ok(snapshots.every(snapshot => snapshot.currency === 'USD'));
+
+        // Del cache no sale un snapshot nuevo, ni de la búsqueda o un SKU
+        await handler(get({ id: KAI_1_ID }));
+        await handler(get({ query: 'anta kai' }));
+        await createHandler()(get({ sku: 'DD1391-100', source: 'kicksdb' }));
+        assert.equal((await store.query(KAI_1_ID, 'US')).length, 6);
+        assert.deepEqual(await store.query('DD1391-100', 'US'), []);
+    });
+});
+
+describe('demo and strict modes', () => {
+    let previousMode;
+
+    beforeEach(() => {
+        previousMode = process.env.KICKSDB_UPSTREAM_MODE;
+    });
+
+    afterEach(() => {
+        process.env.KICKSDB_UPSTREAM_MODE = previousMode;
+    });
+
+    it('serves demo data without an API key', async () => {
+        process.env.KICKSDB_UPSTREAM_MODE = 'live';
+        const response = await createHandler()(get({ id: KAI_1_ID }));
+        const body = parse(response);
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['Cache-Control'], 'no-cache');
+        assert.equal(body._fallback, true);
+        assert.equal(body._demoReason, 'no_api_key');
+    });
+
+    it('fails without an API key in strict mode', async () => {
+        process.env.KICKSDB_UPSTREAM_MODE = 'live';
+        const response = await createHandler({ fallbackToDemo: false })(get({ id: KAI_1_ID }));
+
+        assert.equal(response.statusCode, 500);
+        assert.equal(parse(response).code, 'api_key_missing');
+    });
+
+    it('marks demo data as not found when the API answers 404', async () => {
+        const body = parse(await createHandler()(get({ id: UNKNOWN_ID })));
+
+        assert.equal(body._fallback, true);
+        assert.equal(body._demoReason, 'not_found');
+    });
+
+    it('answers 404 when the API answers 404 in strict mode', async () => {
+        const response = await createHandler({ fallbackToDemo: false })(get({ id: UNKNOWN_ID }));
+
+        assert.equal(response.statusCode, 404);
+        assert.equal(parse(response).code, 'product_not_found');
+    });
+
+    it('serves demo data when the API fails', async () => {
+        const body = parse(await createHandler()(get({ id: UNRECORDED_ID })));
+
+        assert.equal(body._fallback, true);
+        assert.equal(body._demoReason, 'upstream_error');
+    });
+
+    it('answers 502 when the API fails in strict mode', async () => {
+        const response = await createHandler({ fallbackToDemo: false })(get({ id: UNRECORDED_ID }));
+
+        assert.equal(response.statusCode, 502);
+        assert.equal(parse(response).code, 'upstream_unavailable');
+    });
+
+    it('reports search as unavailable without an API key', async () => {
+        process.env.KICKSDB_UPSTREAM_MODE = 'live';
+        const demo = parse(await createHandler()(get({ query: 'anta kai' })));
+        const strict = await createHandler({ fallbackToDemo: false })(get({ query: 'anta kai' }));
+
+        assert.equal(demo._fallback, true);
+        assert.equal(demo._demoReason, 'no_api_key');
+        assert.equal(strict.statusCode, 500);
+        assert.equal(parse(strict).code, 'api_key_missing');
+    });
+});
+
+describe('legacy netlify/functions/kicksdb.js config', () => {
+    it('looks products up by SKU on the generic API', async () => {
+        const response = await legacyHandler(get({ sku: ' DD1391-100 ' }));
+        const body = parse(response);
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(body._sourceId, 'kicksdb');
+        assert.equal(body.sku, 'DD1391-100');
+    });
+
+    it('only accepts sku and ignores source, batch and search', async () => {
+        const byId = await legacyHandler(get({ id: KAI_1_ID }));
+        const search = await legacyHandler(get({ query: 'anta kai' }));
+        const batch = await legacyHandler(post(JSON.stringify({ ids: [KAI_1_ID] })));
+
+        assert.equal(byId.statusCode, 400);
+        assert.equal(parse(byId).code, 'missing_product_param');
+        assert.equal(parse(byId).error, 'SKU parameter is required');
+        assert.equal(search.statusCode, 400);
+        assert.equal(batch.statusCode, 405);
+    });
+
+    it('never falls back to demo data and is never cached', async () => {
+        const response = await legacyHandler(get({ sku: 'NOT-RECORDED-1' }));
+
+        assert.equal(response.statusCode, 502);
+        assert.equal(response.headers['Cache-Control'], 'no-store');
+        assert.equal(parse(response).code, 'upstream_unavailable');
+    });
+});
@@ -0,0 +1,177 @@
+// Motor de precios: especificidad de reglas, margen, aranceles con mínimo exento y redondeo
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { resolveRule, roundToPricePoint, priceFromAsk, quoteAsk, priceProduct, loadPricingRules } = await import('../lib/pricing.js');
+
+function pricingWith(rules) {
+    return { version: 1, updatedAt: null, rules: rules.map((rule, index) => ({ ...rule, index })) };
+}
+
+describe('resolveRule', () => {
+    const pricing = pricingWith([
+        { shipping: 15, margin: { type: 'percent', value: 12 } },
+        { productId: 'p1', margin: { type: 'fixed', value: 10 } },
+        { market: 'GB', shipping: 22 },
+        { market: 'GB', currency: 'EUR', shipping: 30 },
+        { currency: 'EUR', shipping: 25 },
+        { market: 'GB', shipping: 24 }
+    ]);
+
+    const cases = [
+        // [destino, envío, margen]
+        [{ market: 'US', currency: 'USD', productId: 'p2' }, 15, 'percent'],
+        [{ market: 'US', currency: 'USD', productId: 'p1' }, 15, 'fixed'],
+        // A igual especificidad gana la última del fichero
+        [{ market: 'GB', currency: 'GBP', productId: 'p2' }, 24, 'percent'],
+        [{ market: 'DE', currency: 'EUR', productId: 'p2' }, 25, 'percent'],
+        // Dos selectores ganan a uno aunque estén antes en el fichero
+        [{ market: 'GB', currency: 'EUR', productId: 'p1' }, 30, 'fixed']
+    ];
+
+    cases.forEach(([target, shipping, marginType]) => {
+        it(`resolves ${target.market}/${target.currency}/${target.productId}`, () => {
+            const rule = resolveRule(pricing, target);
+            assert.equal(rule.shipping, shipping);
+            assert.equal(rule.margin.type, marginType);
+        });
+    });
+
+    it('is empty when nothing matches', () => {
+        assert.deepEqual(resolveRule(pricingWith([{ market: 'JP', shipping: 30 }]), { market: 'US' }), {});
+    });
+});
+
+describe('roundToPricePoint', () => {
+    const cases = [
+        [161.2, { step: 10, offset: -0.01 }, 169.99],
+        [169.99, { step: 10, offset: -0.01 }, 169.99],
+        [170, { step: 10, offset: -0.01 }, 179.99],
+        [512.3, { step: 10, offset: -0.1 }, 519.9],
+        [18250, { step: 1000, offset: -10 }, 18990],
+        [731, { step: 50, offset: -1 }, 749],
+        [42, { step: 5 }, 45],
+        [45, { step: 5 }, 45]
+    ];
+
+    cases.forEach(([amount, rounding, expected]) => {
+        it(`rounds ${amount} with step ${rounding.step} and offset ${rounding.offset || 0}`, () => {
+            assert.equal(roundToPricePoint(amount, rounding), expected);
+        });
+    });
+});
+
+describe('priceFromAsk', () => {
+    const cases = [
+        // [caso, ask, regla, rate, desglose esperado]
+        ['percent margin', 100, { margin: { type: 'percent', value: 12 }, shipping: 15 }, 1,
+            { item: 112, shipping: 15, duties: 0, taxes: 0, rounding: 0, total: 127 }],
+        ['fixed margin', 100, { margin: { type: 'fixed', value: 10 }, shipping: 15 }, 1,
+            { item: 110, shipping: 15, duties: 0, taxes: 0, rounding: 0, total: 125 }],
+        ['no margin', 100, {}, 1,
+            { item: 100, shipping: 0, duties: 0, taxes: 0, rounding: 0, total: 100 }],
+        // CIF 150 <= 200: exento
+        ['below de minimis', 125, { shipping: 25, duties: { rate: 0.06 }, taxes: { rate: 0.18 }, deMinimis: 200 }, 1,
+            { item: 125, shipping: 25, duties: 0, taxes: 0, rounding: 0, total: 150 }],
+        // CIF 250: aranceles 15 y impuestos sobre CIF + aranceles
+        ['above de minimis', 225, { shipping: 25, duties: { rate: 0.06 }, taxes: { rate: 0.18 }, deMinimis: 200 }, 1,
+            { item: 225, shipping: 25, duties: 15, taxes: 47.7, rounding: 0, total: 312.7 }],
+        ['rounded in USD', 100, { margin: { type: 'percent', value: 12 }, shipping: 15, rounding: { step: 10, offset: -0.01 } }, 1,
+            { item: 112, shipping: 15, duties: 0, taxes: 0, rounding: 2.99, total: 129.99 }],
+        // 127 USD * 4 = 508 -> 509.9 en la moneda del cliente -> 127.475 USD
+        ['rounded in the client currency', 100, { margin: { type: 'percent', value: 12 }, shipping: 15, rounding: { step: 10, offset: -0.1 } }, 4,
+            { item: 112, shipping: 15, duties: 0, taxes: 0, rounding: 0.475, total: 127.475 }]
+    ];
+
+    cases.forEach(([name, ask, rule, rate, expected]) => {
+        it(name, () => {
+            assert.deepEqual(priceFromAsk(ask, rule, rate), expected);
+        });
+    });
+
+    it('has no price without an ask', () => {
+        assert.equal(priceFromAsk(0, {}), null);
+        assert.equal(priceFromAsk(undefined, {}), null);
+    });
+});
+
+describe('quoteAsk', () => {
+    it('converts the ask from its market currency before applying the rule', () => {
+        const context = { currency: 'USD', rates: { USD: 1, GBP: 0.8 } };
+
+        assert.equal(quoteAsk(80, { shipping: 20 }, context, 'GBP').total, 120);
+    });
+});
+
+describe('priceProduct', () => {
+    const context = {
+        pricing: pricingWith([{ margin: { type: 'percent', value: 10 }, shipping: 10 }]),
+        market: 'US',
+        currency: 'USD',
+        rates: { USD: 1 }
+    };
+    const product = {
+        id: 'p1',
+        regularPrice: 100,
+        sizes: [
+            { size: 'US 9', price: 100, available: true, marketData: { lowest_ask: 100, total_asks: 2, sales_15_days: 1, sales_30_days: 1, sales_60_days: 2 } },
+            { size: 'US 10', price: 0, available: false, marketData: null }
+        ],
+        _apiData: { minPrice: 100, maxPrice: 100 }
+    };
+
+    it('replaces asks with selling prices and hides the lowest ask', () => {
+        const priced = priceProduct(product, context);
+
+        assert.equal(priced.regularPrice, 120);
+        assert.equal(priced.sizes[0].price, 120);
+        assert.equal(priced.sizes[0].priceBreakdown.total, 120);
+        assert.equal(priced.sizes[0].marketData.lowest_ask, undefined);
+        assert.equal(priced.sizes[0].marketData.total_asks, 2);
+        assert.equal(priced.sizes[1].price, 0);
+        assert.equal(priced.sizes[1].priceBreakdown, null);
+        assert.deepEqual(priced._apiData, { minPrice: 120, maxPrice: 120 });
+        assert.deepEqual(priced._pricing, { market: 'US', currency: 'USD', rates: { USD: 1 }, updatedAt: null });
+    });
+});
+
+describe('loadPricingRules', () => {
+    it('skips invalid rules and keeps their position', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+        const file = path.join(directory, 'pricing.json');
+        fs.writeFileSync(file, JSON.stringify({
+            version: 1,
+            rules: [
+                { shipping: 10 },
+                { margin: { type: 'markup', value: 5 } },
+                { rounding: { step: 0 } },
+                { market: 'GB', shipping: 20 }
+            ]
+        }));
+
+        try {
+            const { rules } = loadPricingRules(file);
+            assert.deepEqual(rules.map(rule => rule.index), [0, 3]);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('rejects an unknown version', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+        const file = path.join(directory, 'pricing.json');
+        fs.writeFileSync(file, JSON.stringify({ version: 2, rules: [] }));
+
+        try {
+            assert.throws(() => loadPricingRules(file), /Unsupported pricing version/);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,88 @@
+// Token buckets: escrituras condicionales y presupuesto de la API por hora
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Antes de cargar rate-limit.js, que lee la cuota al importarse
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.UPSTREAM_QUOTA_PER_HOUR = '600';
+delete process.env.UPSTREAM_QUOTA_BURST;
+
+const { consumeToken, UPSTREAM_QUOTA_LIMIT } = await import('../lib/rate-limit.js');
+const { createMemoryCacheStore, createBlobsCacheStore } = await import('../lib/cache.js');
+const { BlobsServer } = await import('@netlify/blobs/server');
+
+const LIMIT = { capacity: 5, refillPerMinute: 0.001 };
+
+async function consumeConcurrently(store, count) {
+    const results = await Promise.all(Array.from({ length: count }, () => consumeToken('client:product:1.2.3.4', LIMIT, 1, store)));
+    return results.filter(result => result.allowed).length;
+}
+
+describe('consumeToken', () => {
+    it('never spends the same token twice under concurrency', async () => {
+        assert.equal(await consumeConcurrently(createMemoryCacheStore(), 8), 5);
+    });
+
+    it('rejects with the time until the next token', async () => {
+        const store = createMemoryCacheStore();
+        const limit = { capacity: 1, refillPerMinute: 1 };
+
+        assert.equal((await consumeToken('k', limit, 1, store)).allowed, true);
+        const rejected = await consumeToken('k', limit, 1, store);
+        assert.equal(rejected.allowed, false);
+        assert.equal(rejected.remaining, 0);
+        assert.ok(rejected.retryAfter > 0 && rejected.retryAfter <= 60);
+    });
+
+    it('lets requests through when the store is down', async () => {
+        const store = { async get() { throw new Error('down'); }, async set() {} };
+        assert.equal((await consumeToken('k', LIMIT, 1, store)).allowed, true);
+    });
+});
+
+describe('upstream quota', () => {
+    it('never allows more than the hourly quota in any hour', () => {
+        const { capacity, refillPerMinute } = UPSTREAM_QUOTA_LIMIT;
+        assert.equal(capacity, 60);
+        assert.ok(capacity + refillPerMinute * 60 <= 600);
+    });
+});
+
+describe('blobs-backed buckets', () => {
+    let server;
+    let directory;
+
+    before(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-blobs-'));
+        server = new BlobsServer({ directory, token: 'test-token' });
+        const { port } = await server.start();
+        const url = `http://localhost:${port}`;
+        process.env.NETLIFY_BLOBS_CONTEXT = Buffer.from(JSON.stringify({
+            edgeURL: url,
+            uncachedEdgeURL: url,
+            siteID: 'test-site',
+            token: 'test-token'
+        })).toString('base64');
+    });
+
+    after(async () => {
+        delete process.env.NETLIFY_BLOBS_CONTEXT;
+        await server.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('keeps the buckets in the shared blob store', async () => {
+        const fallback = createMemoryCacheStore();
+        const store = createBlobsCacheStore('rate-limit-test', fallback);
+
+        // La primera escritura de cada bucket es onlyIfNew: las que pierden releen y reintentan
+        assert.equal(await consumeConcurrently(store, 3), 3);
+        const entry = await store.get('client:product:1.2.3.4');
+        assert.ok(entry.value.tokens < LIMIT.capacity);
+        assert.equal(await fallback.get('client:product:1.2.3.4'), null);
+    });
+});
@@ -0,0 +1,161 @@
+// Tipos de cambio: cache con TTL, respaldo entre reintentos, timeout del proveedor y fichero local
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Antes de cargar rates.js, que lee estos valores al importarse
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.RATES_TTL_SECONDS = '60';
+process.env.RATES_RETRY_SECONDS = '30';
+process.env.RATES_TIMEOUT_MS = '20';
+process.env.RATES_FALLBACK_FILE = path.join(process.cwd(), 'data', 'rates.json');
+process.env.RATES_PROVIDER = 'test';
+delete process.env.RATES_FIXTURE_FILE;
+
+const { getExchangeRates, registerRatesProvider, clearRatesCache, getProviderName } = await import('../lib/rates.js');
+
+const BUNDLED = JSON.parse(fs.readFileSync(process.env.RATES_FALLBACK_FILE, 'utf8'));
+
+const LIVE_PAYLOAD = {
+    base: 'USD',
+    date: '2026-10-18',
+    rates: { USD: 1, EUR: 0.9, GBP: 0.75, JPY: 150, CNY: 7.1, PEN: 3.8, MXN: 18 }
+};
+
+// El proveedor de cada test: devuelve el payload, falla o se queda colgado
+let respond;
+let calls;
+
+registerRatesProvider('test', async (options) => {
+    calls++;
+    return respond(options);
+});
+
+// Reloj desplazable: rates.js compara con Date.now()
+const realNow = Date.now;
+let offset;
+
+function advanceClock(seconds) {
+    offset += seconds * 1000;
+}
+
+describe('getExchangeRates', () => {
+    beforeEach(() => {
+        clearRatesCache();
+        calls = 0;
+        offset = 0;
+        Date.now = () => realNow() + offset;
+        respond = () => LIVE_PAYLOAD;
+    });
+
+    afterEach(() => {
+        Date.now = realNow;
+    });
+
+    it('keeps only the supported currencies from the provider', async () => {
+        const rates = await getExchangeRates();
+
+        assert.equal(rates.source, 'test');
+        assert.equal(rates.stale, false);
+        assert.equal(rates.date, '2026-10-18');
+        assert.deepEqual(rates.rates, { USD: 1, EUR: 0.9, GBP: 0.75, JPY: 150, CNY: 7.1, PEN: 3.8 });
+    });
+
+    it('serves cached rates until the TTL expires', async () => {
+        await getExchangeRates();
+        advanceClock(59);
+        await getExchangeRates();
+        assert.equal(calls, 1);
+
+        advanceClock(2);
+        await getExchangeRates();
+        assert.equal(calls, 2);
+    });
+
+    it('falls back to the bundled rates and waits before retrying', async () => {
+        respond = () => {
+            throw new Error('provider down');
+        };
+
+        const fallback = await getExchangeRates();
+        assert.equal(fallback.source, 'bundled');
+        assert.equal(fallback.stale, true);
+        assert.equal(fallback.date, BUNDLED.date);
+        assert.equal(fallback.rates.PEN, BUNDLED.rates.PEN);
+
+        // Dentro de la ventana de reintento no se vuelve a llamar al proveedor
+        advanceClock(29);
+        assert.equal(await getExchangeRates(), fallback);
+        assert.equal(calls, 1);
+
+        respond = () => LIVE_PAYLOAD;
+        advanceClock(2);
+        const live = await getExchangeRates();
+        assert.equal(calls, 2);
+        assert.equal(live.source, 'test');
+        assert.equal(live.stale, false);
+    });
+
+    it('prefers the last good rates over the bundled file', async () => {
+        await getExchangeRates();
+        respond = () => {
+            throw new Error('provider down');
+        };
+        advanceClock(61);
+
+        const rates = await getExchangeRates();
+        assert.equal(rates.source, 'test');
+        assert.equal(rates.stale, true);
+        assert.equal(rates.rates.PEN, 3.8);
+    });
+
+    it('aborts a provider that does not answer in time', async () => {
+        let signal;
+        respond = options => {
+            signal = options.signal;
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('aborted')));
+            });
+        };
+
+        const rates = await getExchangeRates();
+        assert.equal(signal.aborted, true);
+        assert.equal(rates.source, 'bundled');
+    });
+
+    it('rejects a payload with a missing currency', async () => {
+        respond = () => ({ ...LIVE_PAYLOAD, rates: { USD: 1, EUR: 0.9 } });
+
+        const rates = await getExchangeRates();
+        assert.equal(rates.source, 'bundled');
+    });
+});
+
+describe('rates fixture', () => {
+    let directory;
+
+    beforeEach(() => {
+        clearRatesCache();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-fixture-'));
+    });
+
+    afterEach(() => {
+        delete process.env.RATES_FIXTURE_FILE;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('injects fixed rates through RATES_FIXTURE_FILE', async () => {
+        const file = path.join(directory, 'rates.json');
+        fs.writeFileSync(file, JSON.stringify({ ...LIVE_PAYLOAD, date: '2026-01-02' }));
+        process.env.RATES_FIXTURE_FILE = file;
+
+        assert.equal(getProviderName(), 'fixture');
+        const rates = await getExchangeRates();
+        assert.equal(rates.source, 'fixture');
+        assert.equal(rates.date, '2026-01-02');
+        assert.equal(rates.rates.JPY, 150);
+    });
+});
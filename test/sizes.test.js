@@ -0,0 +1,87 @@
+// Modelo de tallas: sufijos de StockX, interpolación en las tablas y EU en tercios de adidas
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSize, describeSize } from '../lib/sizes.js';
+
+describe('parseSize', () => {
+    const cases = [
+        ['10', { value: 10, category: 'men', suffix: '' }],
+        ['US 10.5', { value: 10.5, category: 'men', suffix: '' }],
+        ['10.5W', { value: 10.5, category: 'women', suffix: 'W' }],
+        ['5Y', { value: 5, category: 'youth', suffix: 'Y' }],
+        ['5.5GS', { value: 5.5, category: 'youth', suffix: 'GS' }],
+        ['10C', { value: 10, category: 'child', suffix: 'C' }],
+        ['11PS', { value: 11, category: 'child', suffix: 'PS' }],
+        ['4TD', { value: 4, category: 'child', suffix: 'TD' }],
+        ['9K', { value: 9, category: 'child', suffix: 'K' }],
+        ['M 9', { value: 9, category: 'men', suffix: 'M' }],
+        ['W 8', { value: 8, category: 'women', suffix: 'W' }],
+        ['us 7 w', { value: 7, category: 'women', suffix: 'W' }]
+    ];
+
+    cases.forEach(([raw, expected]) => {
+        it(`parses "${raw}"`, () => {
+            assert.deepEqual(parseSize(raw), expected);
+        });
+    });
+
+    it('uses the default category without a suffix', () => {
+        assert.equal(parseSize('7', 'women').category, 'women');
+        assert.equal(parseSize('7Y', 'women').category, 'youth');
+    });
+
+    ['OS', 'XL', '', null, '10-11', 'US'].forEach(raw => {
+        it(`returns null for ${JSON.stringify(raw)}`, () => {
+            assert.equal(parseSize(raw), null);
+        });
+    });
+});
+
+describe('describeSize', () => {
+    const cases = [
+        // [talla, contexto, etiquetas esperadas]
+        ['10', {}, { US: 'US 10', UK: 'UK 9', EU: 'EU 44', CM: '28 cm' }],
+        ['8W', {}, { US: 'US 8W', UK: 'UK 5.5', EU: 'EU 39', CM: '25 cm' }],
+        // Sin fila exacta se interpola entre 14 y 15
+        ['14.5', {}, { US: 'US 14.5', UK: 'UK 13.5', EU: 'EU 49', CM: '32.5 cm' }],
+        // Fuera de la tabla no hay equivalencias
+        ['20', {}, { US: 'US 20', UK: null, EU: null, CM: null }],
+        ['3', {}, { US: 'US 3', UK: null, EU: null, CM: null }],
+        // adidas: EU en tercios
+        ['4.5', { brand: 'adidas Originals' }, { US: 'US 4.5', UK: 'UK 4', EU: 'EU 36 2/3', CM: '22.5 cm' }],
+        ['5', { brand: 'Yeezy' }, { US: 'US 5', UK: 'UK 4.5', EU: 'EU 37 1/3', CM: '23 cm' }]
+    ];
+
+    cases.forEach(([raw, context, labels]) => {
+        it(`converts "${raw}"${context.brand ? ` (${context.brand})` : ''}`, () => {
+            assert.deepEqual(describeSize(raw, context).labels, labels);
+        });
+    });
+
+    it('picks the brand chart', () => {
+        assert.equal(describeSize('10', { brand: 'Anta' }).chart, 'default');
+        assert.equal(describeSize('10', { brand: 'adidas' }).chart, 'adidas');
+    });
+
+    it('keeps the StockX suffix for child sizes', () => {
+        assert.equal(describeSize('4TD').labels.US, 'US 4TD');
+        assert.equal(describeSize('11PS').labels.US, 'US 11PS');
+        assert.equal(describeSize('10C').labels.US, 'US 10C');
+        assert.equal(describeSize('5.5GS').labels.US, 'US 5.5Y');
+    });
+
+    it('takes the category from the product gender', () => {
+        assert.equal(describeSize('7', { gender: 'women' }).category, 'women');
+        assert.equal(describeSize('7', { gender: 'toddler' }).labels.US, 'US 7C');
+    });
+
+    it('sorts child, youth, men and women in that order', () => {
+        const sortKeys = ['10C', '5Y', '10', '8W'].map(raw => describeSize(raw).sortKey);
+        assert.deepEqual(sortKeys, [...sortKeys].sort((a, b) => a - b));
+    });
+
+    it('returns null for sizes it cannot convert', () => {
+        assert.equal(describeSize('OS'), null);
+    });
+});
@@ -0,0 +1,94 @@
+// Cliente de la API: la cuota agotada no debe dejar el circuit breaker bloqueado en half-open
+// y un UPSTREAM_MAX_RETRIES inválido no debe desactivar los reintentos
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Antes de cargar upstream.js, que lee estos valores al importarse.
+// Una llamada por hora, un fallo abre el circuito y la prueba llega enseguida
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.KICKSDB_UPSTREAM_MODE = 'live';
+process.env.UPSTREAM_QUOTA_PER_HOUR = '1';
+process.env.UPSTREAM_MAX_RETRIES = '0';
+process.env.UPSTREAM_BREAKER_THRESHOLD = '1';
+process.env.UPSTREAM_BREAKER_COOLDOWN_MS = '1';
+
+const { requestJson, getUpstreamMetrics } = await import('../lib/upstream.js');
+const { setRateLimitStore } = await import('../lib/rate-limit.js');
+const { createMemoryCacheStore } = await import('../lib/cache.js');
+
+const URL = 'https://api.kicks.dev/v3/stockx/products/test?market=US';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('requestJson', () => {
+    const originalFetch = globalThis.fetch;
+
+    before(() => {
+        setRateLimitStore(createMemoryCacheStore());
+        globalThis.fetch = async () => new Response('unavailable', { status: 503, statusText: 'Service Unavailable' });
+    });
+
+    after(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('frees the half-open trial when the quota is exhausted', async () => {
+        // La única llamada de la cuota falla y abre el circuito
+        await assert.rejects(requestJson(URL, { apiKey: 'test' }), error => error.details.status === 503);
+        assert.equal(getUpstreamMetrics().circuit.state, 'open');
+        await sleep(5);
+
+        // La prueba half-open se queda sin cuota...
+        await assert.rejects(requestJson(URL, { apiKey: 'test' }), error => error.details.quotaExhausted === true);
+
+        // ...y la siguiente petición puede volver a probar en lugar de ver el circuito abierto
+        await assert.rejects(requestJson(URL, { apiKey: 'test' }), error => error.details.quotaExhausted === true);
+        assert.equal(getUpstreamMetrics().circuit.state, 'half-open');
+        assert.equal(getUpstreamMetrics().shortCircuited, 0);
+    });
+});
+
+describe('UPSTREAM_MAX_RETRIES', () => {
+    const originalFetch = globalThis.fetch;
+    let calls;
+
+    // Instancia nueva del módulo (query en la URL) para que relea el entorno
+    async function importWithRetries(value) {
+        process.env.UPSTREAM_MAX_RETRIES = value;
+        process.env.UPSTREAM_BREAKER_THRESHOLD = '100';
+        return import(`../lib/upstream.js?retries=${encodeURIComponent(value)}`);
+    }
+
+    before(() => {
+        process.env.RATE_LIMIT_ENABLED = 'false';
+        globalThis.fetch = async () => {
+            calls++;
+            return new Response('unavailable', { status: 503, statusText: 'Service Unavailable' });
+        };
+    });
+
+    after(() => {
+        delete process.env.RATE_LIMIT_ENABLED;
+        globalThis.fetch = originalFetch;
+    });
+
+    const cases = [
+        ['not-a-number', 3],
+        ['-1', 3],
+        ['0', 1],
+        ['1', 2]
+    ];
+
+    cases.forEach(([value, expectedCalls]) => {
+        it(`makes ${expectedCalls} attempts with "${value}"`, async () => {
+            const upstream = await importWithRetries(value);
+            calls = 0;
+
+            await assert.rejects(upstream.requestJson(URL, { apiKey: 'test' }), error => error.details.status === 503);
+            assert.equal(calls, expectedCalls);
+        });
+    });
+});